@@ -0,0 +1,273 @@
+window.nsGmx = window.nsGmx || {};
+
+nsGmx.Translations.addText("rus", { ComparisonPanel: {
+    Title: "Сравнение сертификатов",
+    Empty: "Отметьте сертификаты в результатах поиска",
+    Clear: "Очистить",
+    Statistics: "Рассчитать потери и число полей в сертификатах",
+    Calculating: "Идет расчет...",
+    Error: "Не удалось рассчитать статистику",
+    Remove: "Убрать из сравнения",
+    Area: "Площадь",
+    TotalArea: "Общая площадь",
+    Loss: "Потери",
+    Fields: "Полей на территории",
+    Ha: "га",
+    Incomplete: "* часть тайлов не загружена, потери могут быть занижены"
+}
+});
+nsGmx.Translations.addText("eng", { ComparisonPanel: {
+    Title: "Certificates comparison",
+    Empty: "Check certificates in search results",
+    Clear: "Clear",
+    Statistics: "Calculate loss and fields inside certificates",
+    Calculating: "Calculating...",
+    Error: "Statistics calculation failed",
+    Remove: "Remove from comparison",
+    Area: "Area",
+    TotalArea: "Total area",
+    Loss: "Loss",
+    Fields: "Fields intersecting",
+    Ha: "ha",
+    Incomplete: "* some tiles failed to load, loss may be underestimated"
+}
+});
+
+/**
+	Sidebar tab with certificates selected for comparison (see SearchControl.getComparison).
+	Boundaries of certificates are drawn in distinct colors, attributes are shown side by side.
+	Statistics inside every certificate: loss area of visible GFW loss layer
+	and number of objects of visible agro-timeline fields layers intersecting certificate boundaries
+	options.map
+	options.sidebarWidget
+	options.searchControl - nsGmx.SearchControl with comparison list
+	options.gfwLayer - L.GFWLayer to get loss from
+	options.agroTimeline - NDVITimelineManager with fields layers (optional)
+*/
+window.nsGmx.ComparisonPanel = Backbone.View.extend({
+    className: 'comparisonPanel',
+
+    events: {
+        'click .comparisonPanel-clear': 'clear',
+        'click .comparisonPanel-stats': 'calculateStatistics',
+        'click .comparisonPanel-remove': function (e) {
+            this.options.searchControl.removeFromComparison($(e.currentTarget).attr('data-fsc-id'));
+        }
+    },
+
+    COLORS: ['#e41a1c', '#377eb8', '#4daf4a', '#984ea3', '#ff7f00', '#a65628', '#f781bf', '#999999'],
+
+    initialize: function (options) {
+        this.options = _.extend({ tabId: 'comparison' }, options);
+        this._fscCollection = new nsGmx.FSCCollection(this.options.map);
+        this._items = [];       // {obj, color, geometry, layer, stats}
+        this._runId = 0;
+        this.listenTo(this.options.searchControl, 'comparisonchange', this._update);
+        this.render();
+        this.$el.appendTo(this.options.sidebarWidget.addTab(this.options.tabId, 'icon-th-list'));
+    },
+
+    render: function () {
+        var _t = function (key) {
+            return nsGmx.Translations.getText('ComparisonPanel.' + key);
+        };
+        this.$el.html('<div class="comparisonPanel-title">' + _t('Title') + '</div>' +
+            '<div class="comparisonPanel-buttons">' +
+                '<span class="buttonLink comparisonPanel-stats">' + _t('Statistics') + '</span> ' +
+                '<span class="buttonLink comparisonPanel-clear">' + _t('Clear') + '</span>' +
+            '</div>' +
+            '<div class="comparisonPanel-status"></div>' +
+            '<div class="comparisonPanel-result"></div>');
+        this._renderTable();
+        return this;
+    },
+
+    clear: function () {
+        var searchControl = this.options.searchControl;
+        searchControl.getComparison().forEach(function (obj) {
+            searchControl.removeFromComparison(obj.fsc_id);
+        });
+    },
+
+    // Loss area and number of fields intersecting every certificate
+    calculateStatistics: function () {
+        var runId = ++this._runId,
+            map = this.options.map,
+            gfwLayer = this.options.gfwLayer,
+            fieldsLayers = this._getFieldsLayers(),
+            items = this._items;
+
+        if (!items.length) {
+            return;
+        }
+        this._setStatus('Calculating');
+
+        var countFields = function (geometry) {
+            return $.when.apply($, fieldsLayers.map(function (layerId) {
+                return this._countObjects(layerId, geometry);
+            }, this)).then(function () {
+                return _.toArray(arguments).reduce(function (sum, count) {
+                    return sum + count;
+                }, 0);
+            });
+        } .bind(this);
+
+        $.when.apply($, items.map(function (item) {
+            return this._loadGeometry(item).then(function (geometry) {
+                return $.when(
+                    gfwLayer && map.hasLayer(gfwLayer) ? gfwLayer.getLossStatistics(geometry, { maxTiles: 16 }) : null,
+                    fieldsLayers.length ? countFields(geometry) : null
+                ).then(function (loss, fields) {
+                    item.stats = { loss: loss ? loss.total : null, lossIncomplete: !!(loss && loss.failedTiles), fields: fields };
+                });
+            });
+        }, this)).then(function () {
+            if (runId === this._runId) {
+                this._setStatus(_.any(items, function (item) { return item.stats.lossIncomplete; }) ? 'Incomplete' : null);
+                this._renderTable();
+            }
+        } .bind(this), function () {
+            runId === this._runId && this._setStatus('Error');
+        } .bind(this));
+    },
+
+    // Synchronizes items and highlights with comparison list of search control
+    _update: function (list) {
+        var ids = _.pluck(list, 'fsc_id');
+        this._items = this._items.filter(function (item) {
+            if (ids.indexOf(item.obj.fsc_id) === -1) {
+                item.layer && this.options.map.removeLayer(item.layer);
+                return false;
+            }
+            return true;
+        }, this);
+        list.forEach(function (obj) {
+            if (!_.find(this._items, function (item) { return item.obj.fsc_id === obj.fsc_id; })) {
+                var item = { obj: obj, color: this._getFreeColor(), geometry: obj.geometry || null, stats: null };
+                this._items.push(item);
+                this._loadGeometry(item).then(function (geometry) {
+                    if (this._items.indexOf(item) !== -1 && !item.layer) {
+                        item.layer = L.geoJson(geometry, {
+                            style: { color: item.color, weight: 3, fillOpacity: 0.15 },
+                            clickable: false
+                        }).addTo(this.options.map);
+                        this._renderTable();
+                    }
+                } .bind(this));
+            }
+        }, this);
+        this._runId++;
+        this._setStatus(null);
+        this._renderTable();
+    },
+
+    _getFreeColor: function () {
+        var used = _.pluck(this._items, 'color');
+        return _.find(this.COLORS, function (color) {
+            return used.indexOf(color) === -1;
+        }) || this.COLORS[this._items.length % this.COLORS.length];
+    },
+
+    _loadGeometry: function (item) {
+        if (item.geometry) {
+            return $.when(item.geometry);
+        }
+        return this._fscCollection.getGeometry(item.obj.fsc_id).then(function (geometry) {
+            item.geometry = geometry;
+            return geometry;
+        });
+    },
+
+    // Visible agro-timeline fields layers in current map view
+    _getFieldsLayers: function () {
+        var manager = this.options.agroTimeline;
+        return manager ? manager.getVisibleFieldsLayers() : [];
+    },
+
+    // Number of layer objects intersecting geometry (Search.ashx count=true)
+    _countObjects: function (layerId, geometry) {
+        var def = $.Deferred();
+        L.gmxUtil.sendCrossDomainPostRequest(this._fscCollection.options.serverScript, {
+            layer: layerId,
+            WrapStyle: 'window',
+            count: true,
+            border_cs: 'EPSG:4326',
+            border: JSON.stringify(geometry)
+        }, function (resp) {
+            if (resp.Status === 'error' || typeof resp.Result !== 'number') {
+                def.reject(resp.ErrorInfo ? resp.ErrorInfo.ErrorMessage : 'no count');
+                return;
+            }
+            def.resolve(resp.Result);
+        });
+        return def.promise();
+    },
+
+    _setStatus: function (key) {
+        this.$('.comparisonPanel-status').text(key ? nsGmx.Translations.getText('ComparisonPanel.' + key) : '');
+    },
+
+    _renderTable: function () {
+        var _t = function (key) {
+            return nsGmx.Translations.getText('ComparisonPanel.' + key);
+        };
+        var items = this._items,
+            result = this.$('.comparisonPanel-result');
+
+        if (!items.length) {
+            result.text(_t('Empty'));
+            return;
+        }
+
+        var table = $('<table class="comparisonPanel-table"></table>'),
+            header = $('<tr><th></th></tr>').appendTo(table),
+            totalArea = 0;
+
+        var addRow = function (title, getValue) {
+            var row = $('<tr></tr>').append($('<td></td>').text(title));
+            items.forEach(function (item) {
+                var value = getValue(item);
+                row.append($('<td></td>').text(value === null || value === undefined ? '' : value));
+            });
+            table.append(row);
+        };
+
+        items.forEach(function (item) {
+            $('<th></th>')
+                .append($('<span class="comparisonPanel-color"></span>').css('background-color', item.color))
+                .append($('<span class="comparisonPanel-remove">&times;</span>')
+                    .attr({ 'data-fsc-id': item.obj.fsc_id, title: _t('Remove') }))
+                .appendTo(header);
+        });
+
+        this._fscCollection.options.columns.forEach(function (column) {
+            addRow(column.title || column.field, function (item) {
+                return item.obj[column.alias || column.field];
+            });
+        });
+        addRow(_t('Area') + ', ' + _t('Ha'), function (item) {
+            if (!item.geometry) {
+                return null;
+            }
+            var area = nsGmx.FSCCollection.getArea(item.geometry);
+            totalArea += area;
+            return area.toFixed(1);
+        });
+
+        if (_.any(items, function (item) { return item.stats && item.stats.loss !== null; })) {
+            var interval = this.options.gfwLayer.getYearInterval();
+            addRow(_t('Loss') + ' ' + interval.yearBegin + ' - ' + (interval.yearEnd - 1) + ', ' + _t('Ha'), function (item) {
+                return item.stats && item.stats.loss !== null ? item.stats.loss.toFixed(1) + (item.stats.lossIncomplete ? '*' : '') : null;
+            });
+        }
+        if (_.any(items, function (item) { return item.stats && item.stats.fields !== null; })) {
+            addRow(_t('Fields'), function (item) {
+                return item.stats ? item.stats.fields : null;
+            });
+        }
+
+        result.empty()
+            .append(table)
+            .append($('<div class="comparisonPanel-total"></div>').text(_t('TotalArea') + ': ' + totalArea.toFixed(1) + ' ' + _t('Ha')));
+    }
+});
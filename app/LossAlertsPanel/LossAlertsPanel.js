@@ -0,0 +1,213 @@
+window.nsGmx = window.nsGmx || {};
+
+nsGmx.Translations.addText("rus", { LossAlertsPanel: {
+    Title: "Потери по сертификатам",
+    CheckView: "Проверить сертификаты в окне карты",
+    Cancel: "Остановить",
+    SortBy: "Сортировка",
+    SortArea: "по площади потерь",
+    SortPercent: "по доле потерь",
+    SortIncrease: "по росту потерь",
+    Loading: "Загрузка сертификатов...",
+    Calculating: "Расчет",
+    NotFound: "В окне карты нет сертификатов",
+    Error: "Не удалось загрузить сертификаты",
+    Certificate: "Сертификат",
+    Loss: "Потери",
+    Previous: "Предыдущий период",
+    Ha: "га",
+    Incomplete: "Часть тайлов не загружена, потери могут быть занижены"
+}
+});
+nsGmx.Translations.addText("eng", { LossAlertsPanel: {
+    Title: "Loss by certificates",
+    CheckView: "Check certificates in map view",
+    Cancel: "Stop",
+    SortBy: "Sort",
+    SortArea: "by loss area",
+    SortPercent: "by loss percentage",
+    SortIncrease: "by loss increase",
+    Loading: "Loading certificates...",
+    Calculating: "Calculating",
+    NotFound: "No certificates in map view",
+    Error: "Certificates loading failed",
+    Certificate: "Certificate",
+    Loss: "Loss",
+    Previous: "Previous period",
+    Ha: "ha",
+    Incomplete: "Some tiles failed to load, loss may be underestimated"
+}
+});
+
+/**
+	Sidebar tab with certificates in map view ranked by tree cover loss in selected years interval.
+	Loss is compared with the previous interval of the same length.
+	options.map
+	options.sidebarWidget
+	options.gfwLayer - L.GFWLayer to get pixels from
+	options.searchControl - nsGmx.SearchControl to show certificate with
+	options.maxCertificates - max number of certificates to check
+*/
+window.nsGmx.LossAlertsPanel = Backbone.View.extend({
+    className: 'lossAlertsPanel',
+
+    events: {
+        'click .lossAlertsPanel-check': 'checkView',
+        'click .lossAlertsPanel-cancel': 'cancel',
+        'change .lossAlertsPanel-sort': '_renderTable',
+        'click .lossAlertsPanel-certificate': '_showCertificate'
+    },
+
+    initialize: function (options) {
+        this.options = _.extend({ tabId: 'lossAlerts', maxCertificates: 50 }, options);
+        this._fscCollection = new nsGmx.FSCCollection(this.options.map);
+        this._results = [];
+        this._runId = 0;
+        this.render();
+        this.$el.appendTo(this.options.sidebarWidget.addTab(this.options.tabId, 'icon-attention'));
+    },
+
+    render: function () {
+        var _t = function (key) {
+            return nsGmx.Translations.getText('LossAlertsPanel.' + key);
+        };
+        this.$el.html('<div class="lossAlertsPanel-title">' + _t('Title') + '</div>' +
+            '<div class="lossAlertsPanel-buttons">' +
+                '<span class="buttonLink lossAlertsPanel-check">' + _t('CheckView') + '</span> ' +
+                '<span class="buttonLink lossAlertsPanel-cancel">' + _t('Cancel') + '</span>' +
+            '</div>' +
+            '<div>' + _t('SortBy') + ' <select class="lossAlertsPanel-sort">' +
+                '<option value="area">' + _t('SortArea') + '</option>' +
+                '<option value="percent">' + _t('SortPercent') + '</option>' +
+                '<option value="increase">' + _t('SortIncrease') + '</option>' +
+            '</select></div>' +
+            '<div class="lossAlertsPanel-status"></div>' +
+            '<div class="lossAlertsPanel-result"></div>');
+        this.$('.lossAlertsPanel-cancel').hide();
+        return this;
+    },
+
+    // Calculates loss for every certificate in current map view one by one
+    checkView: function () {
+        var runId = ++this._runId,
+            layer = this.options.gfwLayer;
+
+        this._results = [];
+        this._renderTable();
+        this._setStatus(nsGmx.Translations.getText('LossAlertsPanel.Loading'));
+        this.$('.lossAlertsPanel-cancel').show();
+
+        this._fscCollection.getObjectsInBounds(this.options.map.getBounds(), this.options.maxCertificates).then(function (certificates) {
+            if (runId !== this._runId) {
+                return;
+            }
+            if (!certificates.length) {
+                this._finish('NotFound');
+                return;
+            }
+
+            var next = function (index) {
+                if (runId !== this._runId) {
+                    return;
+                }
+                if (index === certificates.length) {
+                    this._finish(null);
+                    return;
+                }
+                this._setStatus(nsGmx.Translations.getText('LossAlertsPanel.Calculating') + ' ' + (index + 1) + ' / ' + certificates.length);
+                layer.getLossStatistics(certificates[index].geometry, { maxTiles: 16 }).then(function (stats) {
+                    if (runId === this._runId) {
+                        this._results.push({ certificate: certificates[index], stats: stats });
+                        this._renderTable();
+                    }
+                } .bind(this)).always(next.bind(this, index + 1));
+            };
+            next.call(this, 0);
+        } .bind(this), function () {
+            runId === this._runId && this._finish('Error');
+        } .bind(this));
+    },
+
+    cancel: function () {
+        this._runId++;
+        this._finish(null);
+    },
+
+    _finish: function (statusKey) {
+        this._setStatus(statusKey ? nsGmx.Translations.getText('LossAlertsPanel.' + statusKey) : '');
+        this.$('.lossAlertsPanel-cancel').hide();
+    },
+
+    _setStatus: function (text) {
+        this.$('.lossAlertsPanel-status').text(text);
+    },
+
+    // Loss (ha) in [yearBegin, yearEnd) and in the previous interval of the same length
+    _getLoss: function (stats) {
+        var interval = this.options.gfwLayer.getYearInterval(),
+            length = interval.yearEnd - interval.yearBegin,
+            result = { total: 0, previous: 0 };
+
+        for (var year in stats.loss) {
+            if (year >= interval.yearBegin && year < interval.yearEnd) {
+                result.total += stats.loss[year];
+            } else if (year >= interval.yearBegin - length && year < interval.yearBegin) {
+                result.previous += stats.loss[year];
+            }
+        }
+        result.percent = stats.area ? 100 * result.total / stats.area : 0;
+        result.increase = result.total - result.previous;
+        return result;
+    },
+
+    _renderTable: function () {
+        var _t = function (key) {
+            return nsGmx.Translations.getText('LossAlertsPanel.' + key);
+        };
+        var sortField = { area: 'total', percent: 'percent', increase: 'increase' }[this.$('.lossAlertsPanel-sort').val()],
+            interval = this.options.gfwLayer.getYearInterval(),
+            rows = this._results.map(function (item) {
+                return _.extend({ certificate: item.certificate, incomplete: item.stats.failedTiles > 0 }, this._getLoss(item.stats));
+            }, this);
+
+        if (!rows.length) {
+            this.$('.lossAlertsPanel-result').empty();
+            return;
+        }
+
+        rows = _.sortBy(rows, function (row) {
+            return -row[sortField];
+        });
+
+        var html = '<table class="lossAlertsPanel-table"><tr><th></th>' +
+            '<th>' + _t('Certificate') + '</th>' +
+            '<th>' + _t('Loss') + ' ' + interval.yearBegin + ' - ' + (interval.yearEnd - 1) + ', ' + _t('Ha') + '</th>' +
+            '<th>%</th>' +
+            '<th>' + _t('Previous') + ', ' + _t('Ha') + '</th></tr>';
+
+        rows.forEach(function (row, index) {
+            html += '<tr' + (row.increase > 0 ? ' class="lossAlertsPanel-increase"' : '') + '>' +
+                '<td>' + (index + 1) + '.</td>' +
+                '<td><span class="buttonLink lossAlertsPanel-certificate" data-fsc-id="' + _.escape(row.certificate.fsc_id) + '">' +
+                    _.escape(row.certificate.holder1) + '</span> ' + _.escape(row.certificate.fsc_id) + '</td>' +
+                (row.incomplete ?
+                    '<td class="lossAlertsPanel-incomplete" title="' + _.escape(_t('Incomplete')) + '">' + row.total.toFixed(1) + '*</td>' :
+                    '<td>' + row.total.toFixed(1) + '</td>') +
+                '<td>' + row.percent.toFixed(2) + '</td>' +
+                '<td>' + row.previous.toFixed(1) + '</td>' +
+            '</tr>';
+        });
+
+        this.$('.lossAlertsPanel-result').html(html + '</table>');
+    },
+
+    _showCertificate: function (e) {
+        var fscId = $(e.currentTarget).attr('data-fsc-id'),
+            item = _.find(this._results, function (item) {
+                return String(item.certificate.fsc_id) === fscId;
+            });
+        if (item) {
+            this.options.searchControl.showObjectPosition(item.certificate);
+        }
+    }
+});
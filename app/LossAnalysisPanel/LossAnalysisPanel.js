@@ -0,0 +1,194 @@
+window.nsGmx = window.nsGmx || {};
+
+nsGmx.Translations.addText("rus", { LossAnalysisPanel: {
+    Title: "Потери лесного покрова",
+    DrawPolygon: "Нарисовать полигон",
+    SelectedCertificate: "Выбранный сертификат",
+    ExportCSV: "Скачать CSV",
+    Polygon: "Полигон",
+    Calculating: "Идет расчет...",
+    NoCertificate: "Выберите сертификат в результатах поиска",
+    Error: "Не удалось рассчитать потери",
+    Area: "Площадь",
+    Loss: "Потери",
+    Year: "Год",
+    Ha: "га",
+    Incomplete: "Не загружено тайлов: {failed} из {tiles}, потери могут быть занижены"
+}
+});
+nsGmx.Translations.addText("eng", { LossAnalysisPanel: {
+    Title: "Tree cover loss",
+    DrawPolygon: "Draw polygon",
+    SelectedCertificate: "Selected certificate",
+    ExportCSV: "Download CSV",
+    Polygon: "Polygon",
+    Calculating: "Calculating...",
+    NoCertificate: "Select a certificate in search results",
+    Error: "Loss calculation failed",
+    Area: "Area",
+    Loss: "Loss",
+    Year: "Year",
+    Ha: "ha",
+    Incomplete: "{failed} of {tiles} tiles failed to load, loss may be underestimated"
+}
+});
+
+/**
+	Sidebar tab with tree cover loss statistics for polygon
+	options.map
+	options.sidebarWidget
+	options.gfwLayer - L.GFWLayer to get pixels from
+	options.searchControl - nsGmx.SearchControl to get selected certificate from
+*/
+window.nsGmx.LossAnalysisPanel = Backbone.View.extend({
+    className: 'lossAnalysisPanel',
+
+    events: {
+        'click .lossAnalysisPanel-draw': '_drawPolygon',
+        'click .lossAnalysisPanel-certificate': '_analyzeCertificate',
+        'click .lossAnalysisPanel-csv': 'exportCSV'
+    },
+
+    initialize: function (options) {
+        this.options = _.extend({ tabId: 'lossAnalysis' }, options);
+        this._fscCollection = new nsGmx.FSCCollection(this.options.map);
+        this._stats = null;
+        this._drawing = null;   // gmxDrawing waiting for polygon
+        this.render();
+        this.$el.appendTo(this.options.sidebarWidget.addTab(this.options.tabId, 'icon-chart-bar'));
+        // polygon drawing started from the panel is cancelled when sidebar is closed
+        this.options.sidebarWidget.on && this.options.sidebarWidget.on('closed', this._stopDrawing, this);
+    },
+
+    remove: function () {
+        this._stopDrawing();
+        this.options.sidebarWidget.off && this.options.sidebarWidget.off('closed', this._stopDrawing, this);
+        return Backbone.View.prototype.remove.apply(this, arguments);
+    },
+
+    render: function () {
+        var _t = function (key) {
+            return nsGmx.Translations.getText('LossAnalysisPanel.' + key);
+        };
+        this.$el.html('<div class="lossAnalysisPanel-title">' + _t('Title') + '</div>' +
+            '<div class="lossAnalysisPanel-buttons">' +
+                '<span class="buttonLink lossAnalysisPanel-draw">' + _t('DrawPolygon') + '</span> ' +
+                '<span class="buttonLink lossAnalysisPanel-certificate">' + _t('SelectedCertificate') + '</span>' +
+            '</div>' +
+            '<div class="lossAnalysisPanel-status"></div>' +
+            '<div class="lossAnalysisPanel-result"></div>');
+        return this;
+    },
+
+    /** Calculates and shows loss statistics
+	@param geometry - GeoJSON Polygon or MultiPolygon in EPSG:4326
+	@param title - name of analysed area
+    */
+    analyze: function (geometry, title) {
+        this._stats = null;
+        this._title = title;
+        this.options.sidebarWidget.open(this.options.tabId);
+        this.$('.lossAnalysisPanel-result').empty();
+        this._setStatus('Calculating');
+
+        return this.options.gfwLayer.getLossStatistics(geometry).then(function (stats) {
+            this._stats = stats;
+            this._setStatus(null);
+            this._renderStats();
+        } .bind(this), function () {
+            this._setStatus('Error');
+        } .bind(this));
+    },
+
+    exportCSV: function () {
+        var stats = this._stats;
+        if (!stats) {
+            return;
+        }
+        // header row comes first for spreadsheets, name of the area goes to the file name
+        var rows = ['year,loss_ha'],
+            fileName = 'loss_' + this._title.replace(/[\\\/:*?"<>|\s]+/g, '_') + '.csv';
+        for (var year in stats.loss) {
+            rows.push(year + ',' + stats.loss[year].toFixed(2));
+        }
+        rows.push('total,' + stats.total.toFixed(2), 'area,' + stats.area.toFixed(2));
+        stats.failedTiles && rows.push('failed_tiles,' + stats.failedTiles + ' of ' + stats.tiles);
+        nsGmx.saveFile(rows.join('\r\n'), fileName, 'text/csv;charset=utf-8');
+    },
+
+    _setStatus: function (key) {
+        this.$('.lossAnalysisPanel-status').text(key ? nsGmx.Translations.getText('LossAnalysisPanel.' + key) : '');
+    },
+
+    _renderStats: function () {
+        var stats = this._stats,
+            ha = nsGmx.Translations.getText('LossAnalysisPanel.Ha'),
+            interval = this.options.gfwLayer.getYearInterval(),
+            max = _.max(_.values(stats.loss)) || 1,
+            bars = '';
+
+        for (var year in stats.loss) {
+            var value = stats.loss[year];
+            bars += '<div class="lossAnalysisPanel-barItem" title="' + year + ': ' + value.toFixed(2) + ' ' + ha + '">' +
+                '<div class="lossAnalysisPanel-bar" style="height:' + Math.round(100 * value / max) + '%"></div>' +
+                '<div class="lossAnalysisPanel-barLabel">' + String(year).substr(2) + '</div>' +
+            '</div>';
+        }
+
+        this.$('.lossAnalysisPanel-result').html(
+            '<div class="lossAnalysisPanel-name">' + _.escape(this._title) + '</div>' +
+            '<div>' + nsGmx.Translations.getText('LossAnalysisPanel.Area') + ': ' + stats.area.toFixed(1) + ' ' + ha + '</div>' +
+            '<div>' + nsGmx.Translations.getText('LossAnalysisPanel.Loss') + ' ' + interval.yearBegin + ' - ' + (interval.yearEnd - 1) + ': ' +
+                stats.total.toFixed(1) + ' ' + ha + ' (' + (stats.area ? 100 * stats.total / stats.area : 0).toFixed(2) + '%)</div>' +
+            (stats.failedTiles ? '<div class="lossAnalysisPanel-warning">' + _.escape(L.Util.template(
+                nsGmx.Translations.getText('LossAnalysisPanel.Incomplete'), { failed: stats.failedTiles, tiles: stats.tiles })) + '</div>' : '') +
+            '<div class="lossAnalysisPanel-chart">' + bars + '</div>' +
+            '<span class="buttonLink lossAnalysisPanel-csv">' + nsGmx.Translations.getText('LossAnalysisPanel.ExportCSV') + '</span>'
+        );
+    },
+
+    _drawPolygon: function () {
+        var drawing = this.options.map.gmxDrawing;
+        this._stopDrawing();
+        if (this._drawnFeature) {
+            drawing.remove(this._drawnFeature);
+            this._drawnFeature = null;
+        }
+        drawing.create('Polygon');
+        // another drawing started instead of this one means it is cancelled
+        this._drawing = drawing
+            .on('drawstop', this._onDrawStop, this)
+            .on('drawstart', this._stopDrawing, this);
+    },
+
+    _onDrawStop: function (e) {
+        this._stopDrawing();
+        if (e.object) {
+            this._drawnFeature = e.object;
+            this.analyze(e.object.toGeoJSON(), nsGmx.Translations.getText('LossAnalysisPanel.Polygon'));
+        }
+    },
+
+    _stopDrawing: function () {
+        if (this._drawing) {
+            this._drawing
+                .off('drawstop', this._onDrawStop, this)
+                .off('drawstart', this._stopDrawing, this);
+            this._drawing = null;
+        }
+    },
+
+    _analyzeCertificate: function () {
+        var obj = this.options.searchControl.getSelectedObject();
+        if (!obj) {
+            this._setStatus('NoCertificate');
+            return;
+        }
+        this._setStatus('Calculating');
+        this._fscCollection.getGeometry(obj.fsc_id).then(function (geometry) {
+            this.analyze(geometry, obj.holder1 + ' ' + obj.fsc_id);
+        } .bind(this), function () {
+            this._setStatus('Error');
+        } .bind(this));
+    }
+});
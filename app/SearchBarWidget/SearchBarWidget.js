@@ -7,9 +7,9 @@ window.nsGmx.SearchBarWidget = Backbone.View.extend({
         this.options = _.extend({}, options);
         this.render();
         this.on('submit', function (str) {
-            var latLng = L.gmxUtil.parseCoordinates(str);
-            if (latLng) {
-                this.trigger('coordinates', latLng);
+            var coords = nsGmx.CoordinateParser.parse(str);
+            if (coords) {
+                this.trigger('coordinates', coords.latLng);
             } else {
                 this.trigger('vessel', str);
             }
@@ -1,105 +1,593 @@
 window.nsGmx = window.nsGmx || {};
 
-// ev.error - on collection load fail
+/**
+	Certificates search in vector layer by Search.ashx.
+	Default options can be changed for all instances by nsGmx.FSCCollection.mergeOptions (see "search" section of config.json)
+	options.serverScript - url of Search.ashx
+	options.layerId - layer to search in
+	options.columns - list of {field, alias, title}: layer attribute, name of model attribute and displayed title.
+		Application expects aliases fsc_id (certificate id) and holder1 (certificate holder) at least
+	options.searchFields - layer attributes to search string in
+	options.titleField - layer attribute with certificate name, e.g. in exported files
+	options.orderBy - layer attribute to sort results by. Certificate id is added to it to keep order of pages stable.
+	options.rankSize - number of objects found by search string to rank. They are loaded by one request and sorted
+		by similarity to search string (model attribute 'similarity', see nsGmx.Transliteration), objects with equal similarity
+		keep orderBy order. Pages are taken from ranked objects, objects beyond rankSize aren't shown (see isRankLimited)
+	options.geometryChunkSize - number of certificate ids in one request of geometries (e.g. for export)
+	options.certificateUrl - link to certificate in FSC public database, {alias} is replaced with model attribute (see getCertificateUrl)
+	options.filters - list of {name, field, title, type, values} for getObjectByFilter: name of filter value, layer attribute and displayed title.
+		type 'range' - number attribute filtered by {min, max}, otherwise string attribute filtered by 'contains'
+		or by equality to one of the values, if their list is given.
+		Range filter can use server expression instead of attribute: {expression, scale}, where entered values are multiplied by scale
+		to get units of expression. Area filter uses STArea of geometry in Web Mercator, so it is overestimated far from the equator
+	options.pageSize - number of objects loaded by one request (Search.ashx pagesize) or shown at once from ranked objects
+	options.inExtent - search in current map extent only
+	options.updateOnMove - with inExtent, search again when map is moved. Call dispose() when collection isn't needed.
+		Map moves made by moveMapSilently don't update results
+
+	ev.update - first page of results is loaded or failed
+	ev.pageload - next page is added by loadNextPage()
+	ev.reload - results are replaced by reload() (e.g. after map move)
+	ev.count(totalCount) - total number of found objects is received
+	ev.error - on collection load fail
+	ev.status(status) - 'pending', 'success', 'error' or 'aborted'
+
+	Only the response of the last request is applied: update() and abort() make previous responses outdated
+*/
 window.nsGmx.FSCCollection = Backbone.Collection.extend({
     options: {
         serverScript: 'http://maps.kosmosnimki.ru/VectorLayer/Search.ashx',
         layerId: '06CCCC47405646C1BC5C45090D38EA2B',
         out_cs: 'EPSG:4326',
+        columns: [
+            { field: 'FSC_ID', alias: 'fsc_id', title: 'FSC ID' },
+            { field: 'HOLDER_1', alias: 'holder1', title: 'Holder' },
+            { field: 'FM_CERT', alias: 'FM_CERT', title: 'FM certificate' },
+            { field: 'CB', alias: 'CB', title: 'Certification body' }
+        ],
+        searchFields: ['FSC_ID', 'HOLDER_1'],
+        titleField: 'HOLDER_1',
+        orderBy: 'HOLDER_1',
+        certificateUrl: 'https://info.fsc.org/certificate.php?code={fsc_id}',
+        filters: [
+            { name: 'cb', field: 'CB', title: 'Certification body' },
+            { name: 'certType', field: 'FM_CERT', title: 'Certificate type' },
+            { name: 'status', field: 'STATUS', title: 'Status', values: ['Valid', 'Suspended', 'Expired', 'Terminated'] },
+            { name: 'region', field: 'REGION', title: 'Region' },
+            { name: 'area', expression: 'STArea([GeomixerGeoJson])', scale: 10000, title: 'Area, ha', type: 'range' }
+        ],
+        pageSize: 50,
+        rankSize: 500,
+        geometryChunkSize: 100,
+        inExtent: false,
+        updateOnMove: false
     },
 
     // map - required
+    // options - collection options (see above) and additional Search.ashx parameters:
     // options.page
     // options.pagesize
-    // options.borderCs
     constructor: function (map, options) {
-        //this.options = _.extend(this.options, options);
+        var optionNames = _.keys(nsGmx.FSCCollection.prototype.options);
+        this.options = _.extend({}, this.options, _.pick(options || {}, optionNames));
         this.options.map = map;
-        this.options.map.on('zoomend moveend', this._updateViewBox, this);
-        this._updateViewBox();
+        this._silentMoves = 0;  // started map moves, which shouldn't update results (see moveMapSilently)
+        if (this.options.updateOnMove) {
+            this._onMapMove = _.debounce(this._onMapMove, 300);
+            this.options.map.on('moveend', this._onMoveEnd, this);
+        }
 
         this.queryParams = {
             layer: this.options.layerId,
             out_cs: this.options.out_cs,
             WrapStyle: 'window',
-            columns: '{"Value":"FSC_ID"},{"Value":"HOLDER_1"}'
+            pagesize: this.options.pageSize
         };
-        this.queryParams = _.extend(this.queryParams, options);
-        if (this.queryParams.border_cs)
-            this.queryParams.border = JSON.stringify(this.geoViewBox);
+        this.totalCount = null;
+        this.queryParams = _.extend(this.queryParams, _.omit(options || {}, optionNames));
+        // responses of requests with outdated ids are ignored
+        this._requestId = 0;    // last data request
+        this._queryId = 0;      // last query (getObjectByStr or reload)
+        this._updateViewBox();
         Backbone.Collection.apply(this);
     },
 
     getObjectByStr: function (searchString, dateInterval) {
-        searchString = searchString.replace(/^["\s]+|["\s]+$/g, '');
-        this.queryParams.columns = '[' + this.queryParams.columns
-        + ',{"Value":"FM_CERT", "Alias":"FM_CERT"}'
-        + ',{"Value":"CB", "Alias":"CB"}'
-        //+ ',{"Value":"[GeomixerGeoJson]", "Alias":"gmxGeojson"}'
-        + ',{"Value":"STEnvelopeMinX([GeomixerGeoJson])", "Alias":"xmin"}'
-        + ',{"Value":"STEnvelopeMaxX([GeomixerGeoJson])", "Alias":"xmax"}'
-        + ',{"Value":"STEnvelopeMinY([GeomixerGeoJson])", "Alias":"ymin"}'
-        + ',{"Value":"STEnvelopeMaxY([GeomixerGeoJson])", "Alias":"ymax"}'
-        + ']';
-        this.queryParams.orderby = 'HOLDER_1';
-        this.queryParams.query = '([FSC_ID] contains \'' + searchString + '\') OR ([HOLDER_1] contains \'' + searchString + '\')';
+        this.getObjectByFilter({ searchString: searchString });
+    },
+
+    // filter.searchString - string to search in options.searchFields. It is also searched normalized and transliterated
+    // filter.values - hash of options.filters values by filter name: string or {min, max} for 'range' filters
+    // filter.operator - 'AND' (default) or 'OR' to combine filter values. Search string is required in both cases
+    getObjectByFilter: function (filter) {
+        var QB = nsGmx.QueryBuilder,
+            searchString = (filter.searchString || '').replace(/^["\s]+|["\s]+$/g, ''),
+            variants = searchString ? _.uniq([searchString].concat(nsGmx.Transliteration.variants(searchString))) : [];
+        this._searchString = searchString;
+        this._ranked = null;
+        this.queryParams.pagesize = searchString ? this.options.rankSize : this.options.pageSize;
+        this.queryParams.columns = this._getColumns(true);
+        this.queryParams.orderby = _.uniq([this.options.orderBy, this.getField('fsc_id')]).join(',');
+        this.queryParams.query = QB.and(
+            QB.or(_.flatten(this.options.searchFields.map(function (field) {
+                return variants.map(function (variant) {
+                    return QB.contains(field, variant);
+                });
+            }))),
+            this._getFilterQuery(filter.values || {}, filter.operator)
+        );
+        this.queryParams.page = 0;
+        this.totalCount = null;
+        this._queryId++;
+        this._updateViewBox();
         this.update();
+        this._requestCount();
     },
 
-    update: function () {
-        if (this.getStatus === 'pending') {
+    // Repeats current query from the first page
+    reload: function () {
+        if (this.queryParams.query === undefined) {
             return;
         }
+        this.queryParams.page = 0;
+        this.totalCount = null;
+        this._queryId++;
+        this._updateViewBox();
+        this.update('reload');
+        this._requestCount();
+    },
 
-        var fieldsMap = {
-            'FSC_ID': 'fsc_id',
-            'HOLDER_1': 'holder1',
-            'gmxGeojson': 'gmxGeojson',
-            'FM_CERT': 'FM_CERT',
-            'CB': 'CB',
-            'xmin': 'xmin',
-            'xmax': 'xmax',
-            'ymin': 'ymin',
-            'ymax': 'ymax',
+    setInExtent: function (inExtent) {
+        this.options.inExtent = inExtent;
+        this.reload();
+    },
 
-        };
+    // Ignores responses of all sent requests
+    abort: function () {
+        this._requestId++;
+        this._queryId++;
+        if (this.isPending()) {
+            this._updateStatus('aborted');
+        }
+    },
+
+    // Unsubscribes from map events and aborts requests
+    dispose: function () {
+        this.options.map.off('moveend', this._onMoveEnd, this);
+        this.abort();
+    },
+
+    // Calls fn, which moves the map, e.g. to show one of the found objects. Results aren't updated by this move.
+    // Every started move is counted, as moveend of animated move is fired later
+    moveMapSilently: function (fn) {
+        var map = this.options.map,
+            onMoveStart = function () {
+                this._silentMoves++;
+            };
+        map.on('movestart', onMoveStart, this);
+        try {
+            fn();
+        } finally {
+            map.off('movestart', onMoveStart, this);
+        }
+    },
+
+    _onMoveEnd: function () {
+        if (this._silentMoves) {
+            this._silentMoves--;
+        } else {
+            this._onMapMove();
+        }
+    },
+
+    _onMapMove: function () {
+        if (this.options.inExtent) {
+            this.reload();
+        }
+    },
+
+    // Loads the next page of current query and adds it to collection
+    loadNextPage: function () {
+        if (this.isPending() || !this.hasMore()) {
+            return;
+        }
+        if (this._ranked) {
+            this.add(this._ranked.slice(this.length, this.length + this.options.pageSize));
+            this.trigger('pageload');
+            return;
+        }
+        this.queryParams.page = (this.queryParams.page || 0) + 1;
+        this.update('append');
+    },
+
+    // Whether there are found objects, which are not loaded yet
+    hasMore: function () {
+        if (this._ranked) {
+            return this.length < this._ranked.length;
+        }
+        if (this.totalCount !== null) {
+            return this.length < this.totalCount;
+        }
+        return this.length === ((this.queryParams.page || 0) + 1) * this.queryParams.pagesize;
+    },
+
+    // Whether search string found more objects than rankSize, so the rest of them can't be shown
+    isRankLimited: function () {
+        return !!this._ranked && this.totalCount !== null && this.totalCount > this._ranked.length;
+    },
+
+    // Total number of objects found by current query (Search.ashx count=true)
+    _requestCount: function () {
+        var params = _.extend(_.omit(this.queryParams, 'page', 'pagesize', 'orderby', 'columns'), { count: true }),
+            queryId = this._queryId;
+        L.gmxUtil.sendCrossDomainPostRequest(this.options.serverScript, params, function (resp) {
+            if (queryId !== this._queryId) {
+                return;
+            }
+            if (resp.Status !== 'error' && typeof resp.Result === 'number') {
+                this.totalCount = resp.Result;
+                this.trigger('count', this.totalCount);
+            }
+        } .bind(this));
+    },
+
+    // Conditions of options.filters with non-empty values
+    _getFilterQuery: function (values, operator) {
+        var QB = nsGmx.QueryBuilder;
+        var conditions = this.options.filters.map(function (filter) {
+            var value = values[filter.name];
+            if (filter.type === 'range') {
+                var expression = filter.expression || QB.field(filter.field),
+                    scale = filter.scale || 1;
+                return value ? QB.and(
+                    typeof value.min === 'number' ? QB.compare(expression, '>=', value.min * scale) : '',
+                    typeof value.max === 'number' ? QB.compare(expression, '<=', value.max * scale) : ''
+                ) : '';
+            }
+            if (!value) {
+                return '';
+            }
+            return filter.values ? QB.equals(filter.field, value) : QB.contains(filter.field, value);
+        });
+        return operator === 'OR' ? QB.or(conditions) : QB.and(conditions);
+    },
+
+    // Layer attribute with given model attribute name
+    getField: function (alias) {
+        var column = _.findWhere(this.options.columns, { alias: alias });
+        return column ? column.field : alias;
+    },
+
+    // Link to certificate in FSC public database
+    getCertificateUrl: function (model) {
+        return this.options.certificateUrl.replace(/\{(\w+)\}/g, function (str, alias) {
+            var value = model.get(alias);
+            return encodeURIComponent(value === null || value === undefined ? '' : value);
+        });
+    },
+
+    // Model attribute name of layer attribute
+    getAlias: function (field) {
+        var column = _.findWhere(this.options.columns, { field: field });
+        return column ? column.alias : field;
+    },
+
+    // Best similarity of search string to the searched attributes of model
+    _getSimilarity: function (attrs) {
+        return _.max(this.options.searchFields.map(function (field) {
+            var value = attrs[this.getAlias(field)];
+            return value === null || value === undefined ? 0 : nsGmx.Transliteration.similarity(this._searchString, value);
+        }, this));
+    },
+
+    // Search.ashx columns parameter: configured columns and optionally bounding box of object in Mercator
+    _getColumns: function (withEnvelope) {
+        var columns = this.options.columns.slice();
+        if (withEnvelope) {
+            columns.push(
+                { Value: 'STEnvelopeMinX([GeomixerGeoJson])', Alias: 'xmin' },
+                { Value: 'STEnvelopeMaxX([GeomixerGeoJson])', Alias: 'xmax' },
+                { Value: 'STEnvelopeMinY([GeomixerGeoJson])', Alias: 'ymin' },
+                { Value: 'STEnvelopeMaxY([GeomixerGeoJson])', Alias: 'ymax' }
+            );
+        }
+        return nsGmx.QueryBuilder.columns(columns);
+    },
+
+    // Hash of model attributes from Search.ashx result row. Fields are returned by aliases of columns
+    _parseValues: function (fields, objParams) {
+        var h = {};
+        for (var i = 0; i < objParams.length; i++) {
+            h[fields[i]] = objParams[i];
+        }
+        return h;
+    },
+
+    // mode - 'append' to add loaded objects to collection (triggers 'pageload'),
+    // 'reload' to replace objects without 'update' event (triggers 'reload'), replace objects and trigger 'update' by default.
+    // Response of previous request is ignored, if it isn't received yet
+    update: function (mode) {
+        var requestId = ++this._requestId;
 
         this._updateStatus('pending');
-        L.gmxUtil.sendCrossDomainPostRequest(this.options.serverScript, this.queryParams,
+        L.gmxUtil.sendCrossDomainPostRequest(this.options.serverScript, _.clone(this.queryParams),
 		function (resp) {
+		    if (requestId !== this._requestId) {
+		        return;
+		    }
 		    if (resp.Status === 'error') {
-		        this.reset();
+		        if (mode === 'append') {
+		            // the same page can be requested again
+		            this.queryParams.page--;
+		        } else {
+		            this.reset();
+		        }
 		        this._updateStatus('error');
-		        this.trigger('update');
+		        mode || this.trigger('update');
+		        mode === 'reload' && this.trigger('reload');
 		        this.trigger('error', {
 		            message: resp.ErrorInfo.ErrorMessage
 		        });
 		        return;
 		    }
 		    var fields = resp.Result.fields;
-		    var values = resp.Result.values;
-		    this.set(values.map(function (objParams) {
-		        var h = {};
-		        for (var i = 0; i < objParams.length; i++) {
-		            h[fieldsMap[fields[i]]] = objParams[i];
+		    var objects = resp.Result.values.map(function (objParams) {
+		        var attrs = this._parseValues(fields, objParams);
+		        if (this._searchString) {
+		            attrs.similarity = this._getSimilarity(attrs);
 		        }
-		        return new Backbone.Model(h);
-		    }));
+		        return attrs;
+		    }, this);
+		    if (this._searchString) {
+		        // all found objects are ranked at once, the first page is shown (see loadNextPage)
+		        this._ranked = _.sortBy(objects, function (attrs) {
+		            return -attrs.similarity;
+		        });
+		        objects = this._ranked.slice(0, this.options.pageSize);
+		    }
+		    this.set(objects.map(function (attrs) {
+		        return new Backbone.Model(attrs);
+		    }), { remove: mode !== 'append' });
 		    this._updateStatus('success');
-		    this.trigger('update');
+		    this.trigger({ append: 'pageload', reload: 'reload' }[mode] || 'update');
+		} .bind(this));
+    },
+
+    // Hash of model attributes from Search.ashx result row with geometry column (geometry=true).
+    // Geometry is unprojected to EPSG:4326, it is null if the column isn't found
+    _parseGeometryValues: function (fields, objParams) {
+        var geomIndex = fields.indexOf('geomixergeojson'),
+            attrs = this._parseValues(fields, objParams);
+        delete attrs.geomixergeojson;
+        attrs.geometry = geomIndex !== -1 && objParams[geomIndex] ? nsGmx.FSCCollection.unprojectGeometry(objParams[geomIndex]) : null;
+        return attrs;
+    },
+
+    // Returns promise of hash of certificate geometries by id: GeoJSON MultiPolygon in EPSG:4326 joining all objects with this FSC_ID.
+    // Certificates without geometry are missing in the hash. Ids are requested by options.geometryChunkSize, one chunk after another
+    _loadGeometries: function (fscIds) {
+        var geometries = {};
+        return _.range(0, fscIds.length, this.options.geometryChunkSize).reduce(function (prev, start) {
+            return prev.then(function () {
+                return this._loadGeometryChunk(fscIds.slice(start, start + this.options.geometryChunkSize), geometries);
+            } .bind(this));
+        } .bind(this), $.when()).then(function () {
+            return geometries;
+        });
+    },
+
+    // Adds geometries of certificates to the hash. A certificate can have several objects, so they are counted first
+    // and loaded by one page of this size. Promise is rejected if not all of the counted objects are received
+    _loadGeometryChunk: function (fscIds, geometries) {
+        var fscField = this.getField('fsc_id'),
+            params = {
+                layer: this.options.layerId,
+                WrapStyle: 'window',
+                query: nsGmx.QueryBuilder.inList(nsGmx.QueryBuilder.field(fscField), fscIds)
+            };
+        return this._sendRequest(_.extend({ count: true }, params)).then(function (count) {
+            if (!count) {
+                return;
+            }
+            return this._sendRequest(_.extend({
+                geometry: true,
+                columns: nsGmx.QueryBuilder.columns([{ field: fscField, alias: 'fsc_id' }]),
+                pagesize: count,
+                page: 0
+            }, params)).then(function (result) {
+                if (result.values.length !== count) {
+                    return $.Deferred().reject('incomplete geometries: ' + result.values.length + ' of ' + count);
+                }
+                result.values.forEach(function (objParams) {
+                    var attrs = this._parseGeometryValues(result.fields, objParams);
+                    if (attrs.geometry) {
+                        var geometry = geometries[attrs.fsc_id] = geometries[attrs.fsc_id] || { type: 'MultiPolygon', coordinates: [] };
+                        geometry.coordinates = geometry.coordinates.concat(attrs.geometry.type === 'Polygon' ? [attrs.geometry.coordinates] : attrs.geometry.coordinates);
+                    }
+                }, this);
+            } .bind(this));
+        } .bind(this));
+    },
+
+    // Returns promise of Search.ashx result, rejected with server error message
+    _sendRequest: function (params) {
+        var def = $.Deferred();
+        L.gmxUtil.sendCrossDomainPostRequest(this.options.serverScript, params, function (resp) {
+            resp.Status === 'error' ? def.reject(resp.ErrorInfo.ErrorMessage) : def.resolve(resp.Result);
+        });
+        return def.promise();
+    },
+
+    // Returns promise of objects loaded to collection with geometries: array of model attributes with geometry
+    // (GeoJSON in EPSG:4326, null if certificate has no objects) in the order of collection.
+    // Geometries missing in models are loaded by certificate ids and kept in models
+    getObjectsWithGeometry: function () {
+        var missing = this.filter(function (model) {
+            return !model.get('geometry');
+        });
+        if (!missing.length) {
+            return $.when(this.toJSON());
+        }
+        return this._loadGeometries(_.uniq(missing.map(function (model) {
+            return model.get('fsc_id');
+        }))).then(function (geometries) {
+            missing.forEach(function (model) {
+                geometries[model.get('fsc_id')] && model.set('geometry', geometries[model.get('fsc_id')]);
+            });
+            return this.map(function (model) {
+                return _.extend({ geometry: null }, model.toJSON());
+            });
+        } .bind(this));
+    },
+
+    // Returns promise of certificate geometry: GeoJSON MultiPolygon in EPSG:4326 joining all objects with this FSC_ID
+    getGeometry: function (fscId) {
+        return this._loadGeometries([fscId]).then(function (geometries) {
+            return geometries[fscId] || $.Deferred().reject('not found');
+        });
+    },
+
+    // Returns promise of certificates intersecting bounds (L.LatLngBounds), no more than maxCount.
+    // Every certificate has attributes of options.columns, xmin, ymin, xmax, ymax and geometry,
+    // where geometry is GeoJSON MultiPolygon in EPSG:4326 joining all objects with this FSC_ID
+    getObjectsInBounds: function (bounds, maxCount) {
+        var def = $.Deferred();
+        L.gmxUtil.sendCrossDomainPostRequest(this.options.serverScript, {
+            layer: this.options.layerId,
+            WrapStyle: 'window',
+            geometry: true,
+            pagesize: maxCount || 100,
+            border_cs: 'EPSG:4326',
+            border: JSON.stringify(nsGmx.FSCCollection.boundsToGeometry(bounds)),
+            columns: this._getColumns(true)
+        },
+		function (resp) {
+		    if (resp.Status === 'error') {
+		        def.reject(resp.ErrorInfo.ErrorMessage);
+		        return;
+		    }
+		    var certificates = {};
+		    resp.Result.values.forEach(function (objParams) {
+		        var h = this._parseGeometryValues(resp.Result.fields, objParams),
+		            coordinates = !h.geometry ? [] : h.geometry.type === 'Polygon' ? [h.geometry.coordinates] : h.geometry.coordinates,
+		            cert = certificates[h.fsc_id];
+		        if (!cert) {
+		            certificates[h.fsc_id] = _.extend(h, { geometry: { type: 'MultiPolygon', coordinates: coordinates } });
+		            return;
+		        }
+		        cert.xmin = Math.min(cert.xmin, h.xmin);
+		        cert.ymin = Math.min(cert.ymin, h.ymin);
+		        cert.xmax = Math.max(cert.xmax, h.xmax);
+		        cert.ymax = Math.max(cert.ymax, h.ymax);
+		        cert.geometry.coordinates = cert.geometry.coordinates.concat(coordinates);
+		    }, this);
+		    def.resolve(_.values(certificates));
 		} .bind(this));
+        return def.promise();
     },
 
     getStatus: function () {
         return this.status;
     },
 
+    isPending: function () {
+        return this.getStatus() === 'pending';
+    },
+
     _updateStatus: function (statusStr) {
         this.status = statusStr;
         this.trigger('status', this.getStatus());
     },
 
+    // Restricts query by current map extent if options.inExtent is set
     _updateViewBox: function () {
-        //this.geoViewBox = nsGmx.Utils.getBoundsGeometry(this.options.map.getBounds());
+        if (this.options.inExtent) {
+            this.geoViewBox = nsGmx.FSCCollection.boundsToGeometry(this.options.map.getBounds());
+            this.queryParams.border = JSON.stringify(this.geoViewBox);
+            this.queryParams.border_cs = 'EPSG:4326';
+        } else {
+            delete this.queryParams.border;
+            delete this.queryParams.border_cs;
+        }
+    }
+}, {
+    // Changes default options of all collections created after the call
+    mergeOptions: function (options) {
+        _.extend(nsGmx.FSCCollection.prototype.options, options);
+    },
+
+    // GeoJSON Polygon of L.LatLngBounds clamped to the world extent
+    boundsToGeometry: function (bounds) {
+        var west = Math.max(bounds.getWest(), -180),
+            east = Math.min(bounds.getEast(), 180),
+            south = Math.max(bounds.getSouth(), -90),
+            north = Math.min(bounds.getNorth(), 90);
+        return {
+            type: 'Polygon',
+            coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+        };
+    },
+
+    // Area (ha) of Polygon or MultiPolygon in EPSG:4326 on sphere
+    getArea: function (geom) {
+        var RADIUS = 6378137,
+            RAD = Math.PI / 180;
+        var ringArea = function (ring) {
+            var area = 0;
+            for (var i = 0, len = ring.length; i < len; i++) {
+                var p1 = ring[i],
+                    p2 = ring[(i + 1) % len];
+                area += (p2[0] - p1[0]) * RAD * (2 + Math.sin(p1[1] * RAD) + Math.sin(p2[1] * RAD));
+            }
+            return Math.abs(area * RADIUS * RADIUS / 2);
+        };
+        var polygonArea = function (polygon) {
+            return polygon.reduce(function (area, ring, index) {
+                return index ? area - ringArea(ring) : ringArea(ring);
+            }, 0);
+        };
+        var polygons = geom.type === 'Polygon' ? [geom.coordinates] : geom.coordinates;
+        return polygons.reduce(function (area, polygon) {
+            return area + polygonArea(polygon);
+        }, 0) / 10000;
+    },
+
+    // L.LatLng of Polygon or MultiPolygon center of mass in EPSG:4326 coordinates. Holes are not taken into account
+    getCentroid: function (geom) {
+        var polygons = geom.type === 'Polygon' ? [geom.coordinates] : geom.coordinates,
+            sum = { x: 0, y: 0, area: 0 };
+        polygons.forEach(function (polygon) {
+            var ring = polygon[0];
+            for (var i = 0, len = ring.length; i < len; i++) {
+                var p1 = ring[i],
+                    p2 = ring[(i + 1) % len],
+                    cross = p1[0] * p2[1] - p2[0] * p1[1];
+                sum.x += (p1[0] + p2[0]) * cross;
+                sum.y += (p1[1] + p2[1]) * cross;
+                sum.area += cross / 2;
+            }
+        });
+        if (!sum.area) {
+            var first = polygons[0][0][0];
+            return L.latLng(first[1], first[0]);
+        }
+        return L.latLng(sum.y / (6 * sum.area), sum.x / (6 * sum.area));
+    },
+
+    // Converts Polygon or MultiPolygon from Mercator coordinates of Search.ashx to EPSG:4326
+    unprojectGeometry: function (geom) {
+        var unprojectRing = function (ring) {
+            return ring.map(function (coord) {
+                var latLng = L.Projection.Mercator.unproject(L.point(coord));
+                return [latLng.lng, latLng.lat];
+            });
+        };
+        var unprojectPolygon = function (polygon) {
+            return polygon.map(unprojectRing);
+        };
+        return {
+            type: geom.type,
+            coordinates: geom.type === 'Polygon' ? unprojectPolygon(geom.coordinates) : geom.coordinates.map(unprojectPolygon)
+        };
     }
 });
@@ -0,0 +1,112 @@
+window.nsGmx = window.nsGmx || {};
+
+/**
+	Export of loaded certificates search results (nsGmx.FSCCollection) to CSV, GeoJSON and KML files.
+	CSV contains attributes of options.columns, GeoJSON and KML contain geometries in EPSG:4326 as well.
+	Objects without geometry are exported without it (null geometry in GeoJSON, placemark without geometry in KML)
+*/
+window.nsGmx.FSCExport = (function () {
+    var FORMATS = {
+        csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+        geojson: { extension: 'geojson', mimeType: 'application/geo+json;charset=utf-8' },
+        kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml;charset=utf-8' }
+    };
+
+    var toStr = function (value) {
+        return value === null || value === undefined ? '' : String(value);
+    };
+
+    var escapeXml = function (value) {
+        return toStr(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    };
+
+    var getAlias = function (column) {
+        return column.alias || column.field;
+    };
+
+    var kmlPolygon = function (polygon) {
+        var ring = function (coordinates) {
+            return '<LinearRing><coordinates>' + coordinates.map(function (coord) {
+                return coord[0] + ',' + coord[1];
+            }).join(' ') + '</coordinates></LinearRing>';
+        };
+        return '<Polygon><outerBoundaryIs>' + ring(polygon[0]) + '</outerBoundaryIs>' +
+            polygon.slice(1).map(function (hole) {
+                return '<innerBoundaryIs>' + ring(hole) + '</innerBoundaryIs>';
+            }).join('') + '</Polygon>';
+    };
+
+    var FSCExport = {
+        // objects - attribute hashes, columns - FSCCollection options.columns. Column titles are used as headers
+        toCSV: function (objects, columns) {
+            var escape = function (value) {
+                var str = toStr(value);
+                return /[",;\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+            };
+            var rows = [columns.map(function (column) {
+                return escape(column.title || column.field);
+            }).join(',')];
+            objects.forEach(function (obj) {
+                rows.push(columns.map(function (column) {
+                    return escape(obj[getAlias(column)]);
+                }).join(','));
+            });
+            // BOM for spreadsheet applications to recognize UTF-8
+            return '\ufeff' + rows.join('\r\n');
+        },
+
+        // objects - attribute hashes with geometry (GeoJSON in EPSG:4326)
+        toGeoJSON: function (objects, columns) {
+            return JSON.stringify({
+                type: 'FeatureCollection',
+                features: objects.map(function (obj) {
+                    var properties = {};
+                    columns.forEach(function (column) {
+                        properties[getAlias(column)] = obj[getAlias(column)];
+                    });
+                    return { type: 'Feature', properties: properties, geometry: obj.geometry };
+                })
+            });
+        },
+
+        // titleAlias - attribute used as placemark name
+        toKML: function (objects, columns, titleAlias) {
+            var placemarks = objects.map(function (obj) {
+                var polygons = !obj.geometry ? [] : obj.geometry.type === 'Polygon' ? [obj.geometry.coordinates] : obj.geometry.coordinates;
+                return '<Placemark><name>' + escapeXml(obj[titleAlias]) + '</name>' +
+                    '<ExtendedData>' + columns.map(function (column) {
+                        return '<Data name="' + escapeXml(getAlias(column)) + '"><value>' + escapeXml(obj[getAlias(column)]) + '</value></Data>';
+                    }).join('') + '</ExtendedData>' +
+                    (polygons.length ? '<MultiGeometry>' + polygons.map(kmlPolygon).join('') + '</MultiGeometry>' : '') +
+                '</Placemark>';
+            });
+            return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' + placemarks.join('\n') + '</Document></kml>';
+        },
+
+        /** Saves objects loaded to collection as file
+			@param collection - nsGmx.FSCCollection
+			@param format - 'csv', 'geojson' or 'kml'
+			@param fileName - name without extension, 'fsc_certificates' by default
+			@return promise, resolved after download is started
+        */
+        save: function (collection, format, fileName) {
+            var columns = collection.options.columns,
+                type = FORMATS[format];
+            fileName = (fileName || 'fsc_certificates') + '.' + type.extension;
+
+            if (format === 'csv') {
+                nsGmx.saveFile(FSCExport.toCSV(collection.toJSON(), columns), fileName, type.mimeType);
+                return $.when();
+            }
+            return collection.getObjectsWithGeometry().then(function (objects) {
+                var content = format === 'kml' ?
+                    FSCExport.toKML(objects, columns, collection.getAlias(collection.options.titleField)) :
+                    FSCExport.toGeoJSON(objects, columns);
+                nsGmx.saveFile(content, fileName, type.mimeType);
+            });
+        }
+    };
+
+    return FSCExport;
+})();
@@ -0,0 +1,217 @@
+window.nsGmx = window.nsGmx || {};
+
+nsGmx.Translations.addText("rus", { FSCFilterView: {
+    Title: "Расширенный поиск",
+    Match: "Условия",
+    MatchAll: "все",
+    MatchAny: "любое",
+    AnyValue: "любой",
+    From: "от",
+    To: "до",
+    Search: "Найти",
+    Reset: "Сбросить",
+    Presets: "Сохраненные фильтры",
+    PresetName: "Название фильтра",
+    Save: "Сохранить",
+    Delete: "Удалить"
+}
+});
+nsGmx.Translations.addText("eng", { FSCFilterView: {
+    Title: "Advanced search",
+    Match: "Match",
+    MatchAll: "all",
+    MatchAny: "any",
+    AnyValue: "any",
+    From: "from",
+    To: "to",
+    Search: "Search",
+    Reset: "Reset",
+    Presets: "Saved filters",
+    PresetName: "Filter name",
+    Save: "Save",
+    Delete: "Delete"
+}
+});
+
+/**
+	Collapsible form of certificate attribute filters with presets kept in localStorage.
+	Filter is an object for FSCCollection.getObjectByFilter: {values, operator}
+	options.filters - filter definitions (see FSCCollection options.filters)
+	options.storageKey - localStorage key of presets
+
+	ev.search(filter) - "Search" button is pressed
+*/
+window.nsGmx.FSCFilterView = Backbone.View.extend({
+    className: 'fscFilterView',
+
+    events: {
+        'click .fscFilterView-title': 'toggle',
+        'click .fscFilterView-search': function () {
+            this.trigger('search', this.getFilter());
+        },
+        'click .fscFilterView-reset': function () {
+            this.setFilter({});
+        },
+        'change .fscFilterView-presets': '_applyPreset',
+        'click .fscFilterView-save': '_savePreset',
+        'click .fscFilterView-delete': '_deletePreset'
+    },
+
+    initialize: function (options) {
+        this.options = _.extend({
+            filters: nsGmx.FSCCollection.prototype.options.filters,
+            storageKey: 'fscSearchPresets'
+        }, options);
+        this._presets = this._loadPresets();
+        this.render();
+    },
+
+    render: function () {
+        var _t = function (key) {
+            return nsGmx.Translations.getText('FSCFilterView.' + key);
+        };
+        var form = $('<div class="fscFilterView-form"></div>');
+
+        this.options.filters.forEach(function (filter) {
+            var row = $('<div class="fscFilterView-row"></div>')
+                .attr('data-filter', filter.name)
+                .append($('<label></label>').text(filter.title || filter.field));
+            if (filter.type === 'range') {
+                row.append(document.createTextNode(_t('From') + ' '))
+                    .append('<input type="number" class="fscFilterView-min">')
+                    .append(document.createTextNode(' ' + _t('To') + ' '))
+                    .append('<input type="number" class="fscFilterView-max">');
+            } else if (filter.values) {
+                var select = $('<select class="fscFilterView-value"></select>')
+                    .append($('<option value=""></option>').text(_t('AnyValue')));
+                filter.values.forEach(function (value) {
+                    $('<option>').val(value).text(value).appendTo(select);
+                });
+                row.append(select);
+            } else {
+                row.append('<input type="text" class="fscFilterView-value">');
+            }
+            form.append(row);
+        });
+
+        form.append($('<div class="fscFilterView-row"></div>')
+            .append($('<label></label>').text(_t('Match')))
+            .append($('<select class="fscFilterView-operator"></select>')
+                .append($('<option value="AND"></option>').text(_t('MatchAll')))
+                .append($('<option value="OR"></option>').text(_t('MatchAny')))))
+            .append($('<div class="fscFilterView-buttons"></div>')
+                .append($('<span class="buttonLink fscFilterView-search"></span>').text(_t('Search')))
+                .append($('<span class="buttonLink fscFilterView-reset"></span>').text(_t('Reset'))))
+            .append($('<div class="fscFilterView-row"></div>')
+                .append($('<label></label>').text(_t('Presets')))
+                .append('<select class="fscFilterView-presets"></select>'))
+            .append($('<div class="fscFilterView-buttons"></div>')
+                .append($('<input type="text" class="fscFilterView-presetName">').attr('placeholder', _t('PresetName')))
+                .append($('<span class="buttonLink fscFilterView-save"></span>').text(_t('Save')))
+                .append($('<span class="buttonLink fscFilterView-delete"></span>').text(_t('Delete'))));
+
+        this.$el.empty()
+            .append($('<div class="fscFilterView-title"></div>').text(_t('Title')))
+            .append(form.hide());
+        this._renderPresets();
+        return this;
+    },
+
+    toggle: function () {
+        this.$('.fscFilterView-form').toggle();
+    },
+
+    // Filters are applied to searches from the search bar while the form is open
+    isOpen: function () {
+        return this.$('.fscFilterView-form').css('display') !== 'none';
+    },
+
+    getFilter: function () {
+        var values = {};
+        this.options.filters.forEach(function (filter) {
+            var row = this.$('.fscFilterView-row[data-filter="' + filter.name + '"]');
+            if (filter.type === 'range') {
+                var min = parseFloat(row.find('.fscFilterView-min').val()),
+                    max = parseFloat(row.find('.fscFilterView-max').val());
+                if (isFinite(min) || isFinite(max)) {
+                    values[filter.name] = { min: isFinite(min) ? min : null, max: isFinite(max) ? max : null };
+                }
+            } else if ($.trim(row.find('.fscFilterView-value').val())) {
+                values[filter.name] = $.trim(row.find('.fscFilterView-value').val());
+            }
+        }, this);
+        return { values: values, operator: this.$('.fscFilterView-operator').val() };
+    },
+
+    setFilter: function (filter) {
+        var values = filter.values || {};
+        this.options.filters.forEach(function (filter) {
+            var row = this.$('.fscFilterView-row[data-filter="' + filter.name + '"]'),
+                value = values[filter.name];
+            if (filter.type === 'range') {
+                row.find('.fscFilterView-min').val(value && typeof value.min === 'number' ? value.min : '');
+                row.find('.fscFilterView-max').val(value && typeof value.max === 'number' ? value.max : '');
+            } else {
+                row.find('.fscFilterView-value').val(value || '');
+            }
+        }, this);
+        this.$('.fscFilterView-operator').val(filter.operator === 'OR' ? 'OR' : 'AND');
+    },
+
+    _renderPresets: function () {
+        var select = this.$('.fscFilterView-presets').empty().append('<option value=""></option>');
+        this._presets.forEach(function (preset) {
+            $('<option>').val(preset.name).text(preset.name).appendTo(select);
+        });
+    },
+
+    _applyPreset: function () {
+        var name = this.$('.fscFilterView-presets').val(),
+            preset = _.findWhere(this._presets, { name: name });
+        this.$('.fscFilterView-presetName').val(name);
+        preset && this.setFilter(preset);
+    },
+
+    // Preset with the same name is replaced
+    _savePreset: function () {
+        var name = $.trim(this.$('.fscFilterView-presetName').val());
+        if (!name) {
+            return;
+        }
+        this._presets = _.reject(this._presets, function (preset) {
+            return preset.name === name;
+        }).concat(_.extend({ name: name }, this.getFilter()));
+        this._storePresets();
+        this.$('.fscFilterView-presets').val(name);
+    },
+
+    _deletePreset: function () {
+        var name = this.$('.fscFilterView-presets').val();
+        if (!name) {
+            return;
+        }
+        this._presets = _.reject(this._presets, function (preset) {
+            return preset.name === name;
+        });
+        this._storePresets();
+        this.$('.fscFilterView-presetName').val('');
+    },
+
+    _loadPresets: function () {
+        try {
+            var presets = JSON.parse(window.localStorage.getItem(this.options.storageKey));
+            return _.isArray(presets) ? _.filter(presets, function (preset) {
+                return preset && typeof preset.name === 'string' && _.isObject(preset.values);
+            }) : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    _storePresets: function () {
+        try {
+            window.localStorage.setItem(this.options.storageKey, JSON.stringify(this._presets));
+        } catch (e) { }
+        this._renderPresets();
+    }
+});
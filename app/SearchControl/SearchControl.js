@@ -4,41 +4,276 @@ window.nsGmx = window.nsGmx || {};
 	options.map
 	options.searchBarContainer
 	options.sidebarWidget
+
+	Events:
+	objectselected(obj) - certificate is shown on map
+	comparisonchange(list) - certificates are added to or removed from comparison (see getComparison)
+	statechange(state) - search settings are changed (see getSearchState)
 */
 window.nsGmx.SearchControl = function (options) {
+    var self = _.extend(this, Backbone.Events);
+
+    var PAGE_SIZES = [10, 25, 50, 100],
+        STATE_STORAGE_KEY = 'fscSearchState',
+        AUTOCOMPLETE_DELAY = 300,  // ms after the last key press
+        AUTOCOMPLETE_SIZE = 10,    // shown suggestions. Three times more are loaded to choose the most similar ones
+        HIGHLIGHT_STYLE = { color: '#ff0000', weight: 3, fillOpacity: 0.1 };
+
+    // Search settings, kept in localStorage between sessions
+    // pageSize - number of results loaded at once, inExtent - search in current map extent only
+    var searchState = { pageSize: 50, inExtent: false };
+    try {
+        _.extend(searchState, JSON.parse(window.localStorage.getItem(STATE_STORAGE_KEY)));
+    } catch (e) { }
+    if (PAGE_SIZES.indexOf(searchState.pageSize) === -1) {
+        searchState.pageSize = 50;
+    }
+    searchState.inExtent = searchState.inExtent === true;
 
     var SearchResultView = Backbone.View.extend({
         tagName: "tr",
         className: 'SearchResultRow',
+        events: {
+            'change .searchResultCheck': function (e) {
+                e.target.checked ? self.addToComparison(this.model.toJSON()) : self.removeFromComparison(this.model.get('fsc_id'));
+            },
+            'click .searchResultExpand': 'toggleCard',
+            'click .searchResultCard-zoom': function () {
+                this.trigger('marker', this.model);
+            },
+            'click .searchResultCard-copy': 'copyId',
+            'click .searchResultCard-compare': function () {
+                self.addToComparison(this.model.toJSON());
+            }
+        },
         render: function () {
             var imo = this.model.get("imo");
             if (imo == 0 || imo == -1)
                 imo = '';
             this.$el.html('<td class="searchElemPosition">' + (this.model.position + 1) + '. </td>' +
+			'<td><input type="checkbox" class="searchResultCheck" title="' + nsGmx.Translations.getText('SearchControl.Compare') + '"></td>' +
 			'<td class="SearchResultText"><span class="searchElem">' + this.model.get("holder1") + '</span> ' +
-			'<span style="white-space: nowrap">' + this.model.get("fsc_id") + '</span>' +
+			'<span style="white-space: nowrap">' + this.model.get("fsc_id") + '</span> ' +
+			'<span class="searchResultExpand" title="' + nsGmx.Translations.getText('SearchControl.Details') + '">&#9656;</span>' +
+			'<div class="searchResultCard"></div>' +
 			'</td>');
             this.$el.find('.searchElem').on('click', function () {
                 this.trigger('marker', this.model);
             } .bind(this));
+            this.$('.searchResultCheck')
+                .attr('data-fsc-id', this.model.get('fsc_id'))
+                .prop('checked', !!_.findWhere(self.getComparison(), { fsc_id: this.model.get('fsc_id') }));
+        },
+        // Card with all attributes, area and centroid. Geometry is loaded on first opening
+        toggleCard: function () {
+            this._cardOpen = !this._cardOpen;
+            this.$('.searchResultExpand').html(this._cardOpen ? '&#9662;' : '&#9656;');
+            this.$('.searchResultCard').toggle(this._cardOpen);
+            if (!this._cardOpen) {
+                return;
+            }
+            this.renderCard();
+            if (!this.model.get('geometry')) {
+                this.model.collection.getGeometry(this.model.get('fsc_id')).then(function (geometry) {
+                    this.model.set('geometry', geometry);
+                    this.renderCard();
+                } .bind(this), function () {
+                    this.$('.searchResultCard-geometry').text(nsGmx.Translations.getText('SearchControl.GeometryError'));
+                } .bind(this));
+            }
+        },
+        renderCard: function () {
+            var _t = function (key) {
+                return nsGmx.Translations.getText('SearchControl.' + key);
+            };
+            var model = this.model,
+                collection = model.collection,
+                geometry = model.get('geometry'),
+                table = $('<table class="searchResultCard-attrs"></table>');
+
+            var addRow = function (title, value) {
+                $('<tr></tr>')
+                    .append($('<td></td>').text(title))
+                    .append($('<td></td>').text(value === null || value === undefined ? '' : value))
+                    .appendTo(table);
+            };
+            collection.options.columns.forEach(function (column) {
+                addRow(column.title || column.field, model.get(column.alias || column.field));
+            });
+
+            var geometryInfo = $('<div class="searchResultCard-geometry"></div>');
+            if (geometry) {
+                var centroid = nsGmx.FSCCollection.getCentroid(geometry);
+                addRow(_t('Area'), nsGmx.FSCCollection.getArea(geometry).toFixed(1) + ' ' + _t('Ha'));
+                addRow(_t('Centroid'), centroid.lat.toFixed(5) + ', ' + centroid.lng.toFixed(5));
+            } else {
+                geometryInfo.append('<span class="animate-spin icon-refresh"></span>');
+            }
+
+            this.$('.searchResultCard').empty()
+                .append(table)
+                .append(geometryInfo)
+                .append($('<div class="searchResultCard-actions"></div>')
+                    .append($('<a target="_blank"></a>').attr('href', collection.getCertificateUrl(model)).text(_t('FSCDatabase')))
+                    .append($('<span class="buttonLink searchResultCard-zoom"></span>').text(_t('ZoomTo')))
+                    .append($('<span class="buttonLink searchResultCard-copy"></span>').text(_t('CopyId')))
+                    .append($('<span class="buttonLink searchResultCard-compare"></span>').text(_t('AddToComparison'))));
+        },
+        copyId: function () {
+            var button = this.$('.searchResultCard-copy');
+            var showResult = function (key) {
+                button.text(nsGmx.Translations.getText('SearchControl.' + key));
+                setTimeout(function () {
+                    button.text(nsGmx.Translations.getText('SearchControl.CopyId'));
+                }, 1500);
+            };
+            copyText(String(this.model.get('fsc_id'))).then(function () {
+                showResult('Copied');
+            }, function () {
+                showResult('CopyFailed');
+            });
         }
     });
 
+    // Copies text to clipboard. Returns jQuery promise
+    var copyText = function (text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            // $.when doesn't wait for native promises
+            var def = $.Deferred();
+            navigator.clipboard.writeText(text).then(def.resolve, def.reject);
+            return def.promise();
+        }
+        var textarea = $('<textarea></textarea>').val(text).css({ position: 'fixed', left: -1000 }).appendTo('body'),
+            copied = false;
+        textarea[0].select();
+        try {
+            copied = document.execCommand('copy');
+        } catch (e) { }
+        textarea.remove();
+        return copied ? $.when() : $.Deferred().reject().promise();
+    };
+
     var SearchResultListView = Backbone.View.extend({
         tagName: "table",
+        initialize: function () {
+            this._rendered = 0;
+            this._itemViews = [];
+            this.listenTo(this.model, 'pageload', this.renderNext);
+            this.listenTo(this.model, 'reload', this.render);
+        },
         render: function () {
-            this.$el.html();
-            for (var i = 0; i < this.model.length; ++i) {
+            this._removeItems();
+            this.$el.empty();
+            this._rendered = 0;
+            this.renderNext();
+            return this;
+        },
+        // Adds rows of objects loaded after previous rendering
+        renderNext: function () {
+            for (var i = this._rendered; i < this.model.length; ++i) {
                 this.model.at(i).position = i;
                 var itemView = new SearchResultView({ model: this.model.at(i) })
 				.on('marker', function (model) { this.trigger('marker', model) } .bind(this));
                 this.$el.append(itemView.$el);
                 itemView.render();
+                this._itemViews.push(itemView);
             }
+            this._rendered = this.model.length;
         },
         appendTo: function (el) {
             $(el).append(this.$el);
             return this;
+        },
+        remove: function () {
+            this._removeItems();
+            return Backbone.View.prototype.remove.apply(this, arguments);
+        },
+        _removeItems: function () {
+            this._itemViews.forEach(function (itemView) {
+                itemView.off().remove();
+            });
+            this._itemViews = [];
+        }
+    });
+
+    // Number of found objects, "load more" link, page size selector and export of loaded objects.
+    // Next page is also loaded when the view is scrolled into sight.
+    // options.scrollContainer - element with the result list, its scrolling is watched
+    var SearchResultFooterView = Backbone.View.extend({
+        className: 'searchResultFooter',
+        events: {
+            'click .searchResultFooter-more': 'loadMore',
+            'click .searchResultFooter-exportItem': function (e) {
+                var exportItems = this.$('.searchResultFooter-export');
+                exportItems.find('.searchResultFooter-error').remove();
+                nsGmx.FSCExport.save(this.model, $(e.currentTarget).attr('data-format')).fail(function () {
+                    exportItems.append($('<span class="searchResultFooter-error"></span>')
+                        .text(nsGmx.Translations.getText('SearchControl.ExportError')));
+                });
+            },
+            'change .searchResultFooter-pageSize': function (e) {
+                self.setSearchState({ pageSize: Number($(e.target).val()) });
+            }
+        },
+        initialize: function (options) {
+            this.listenTo(this.model, 'update pageload reload count status', this.render);
+            this._onScroll = _.throttle(this._onScroll.bind(this), 200);
+            // scroll doesn't bubble, capture catches scrolling of nested elements of the container too
+            this._scrollContainer = options.scrollContainer || this.el;
+            this._scrollContainer.addEventListener('scroll', this._onScroll, true);
+        },
+        render: function () {
+            var _t = function (key) {
+                return nsGmx.Translations.getText('SearchControl.' + key);
+            };
+            var collection = this.model,
+                pageSelect = $('<select class="searchResultFooter-pageSize"></select>');
+
+            PAGE_SIZES.forEach(function (size) {
+                $('<option>').val(size).text(size).appendTo(pageSelect);
+            });
+            pageSelect.val(searchState.pageSize);
+
+            this.$el.empty()
+                .append($('<span class="searchResultFooter-count"></span>').text(
+                    _t('Shown') + ': ' + collection.length + (collection.totalCount !== null ? ' ' + _t('Of') + ' ' + collection.totalCount : '')))
+                .append(' ');
+            if (collection.getStatus() === 'pending') {
+                this.$el.append('<span class="animate-spin icon-refresh"></span> ');
+            } else if (collection.hasMore()) {
+                this.$el.append($('<span class="buttonLink searchResultFooter-more"></span>').text(_t('LoadMore'))).append(' ');
+            }
+            if (collection.isRankLimited()) {
+                this.$el.append($('<div class="searchResultFooter-rankLimit"></div>').text(_t('RankLimit')));
+            }
+            this.$el.append($('<label></label>').text(_t('PageSize') + ' ').append(pageSelect));
+            if (collection.length) {
+                var exportItems = $('<div class="searchResultFooter-export"></div>').text(_t('Export') + ': ');
+                [['csv', 'CSV'], ['geojson', 'GeoJSON'], ['kml', 'KML']].forEach(function (format) {
+                    exportItems.append($('<span class="buttonLink searchResultFooter-exportItem"></span>')
+                        .attr('data-format', format[0]).text(format[1])).append(' ');
+                });
+                this.$el.append(exportItems);
+            }
+            return this;
+        },
+        loadMore: function () {
+            this.model.loadNextPage();
+        },
+        remove: function () {
+            this._scrollContainer.removeEventListener('scroll', this._onScroll, true);
+            this._onScroll.cancel && this._onScroll.cancel();
+            return Backbone.View.prototype.remove.apply(this, arguments);
+        },
+        _onScroll: function () {
+            var more = this.$('.searchResultFooter-more')[0];
+            if (!more || !more.offsetParent) {
+                return;
+            }
+            var rect = more.getBoundingClientRect();
+            if (rect.top < (window.innerHeight || document.documentElement.clientHeight)) {
+                this.loadMore();
+            }
         }
     });
 
@@ -48,8 +283,8 @@ window.nsGmx.SearchControl = function (options) {
         }
     });
 
-    // Search object by attributes
-    var searchLayerObject = function (map, searchString, dateInterval, options, stop, proceed, showResults) {
+    // Search object by attributes. filter - see FSCCollection.getObjectByFilter
+    var searchLayerObject = function (map, filter, options, stop, proceed, showResults) {
         var objCollection = new nsGmx.FSCCollection(map, options)
         .on('update', function (e) {
             //console.log(objCollection);
@@ -71,85 +306,102 @@ window.nsGmx.SearchControl = function (options) {
             $('.searchResultCanvas').find('.icon-refresh').remove();
             console.log(e);
         });
-        objCollection.getObjectByStr(searchString, dateInterval);
-        return null;
+        objCollection.getObjectByFilter(filter);
+        return objCollection;
     }
 
-    // Show it position on map
-    var markers = [];
-    var showObjectPosition = function (first) {
-        var MinLat_MinLon = L.Projection.Mercator.unproject(new L.Point(first.xmin, first.ymin)),
-        MaxLat_MaxLon = L.Projection.Mercator.unproject(new L.Point(first.xmax, first.ymax)),
-        bounds = L.latLngBounds(MinLat_MinLon, MaxLat_MaxLon);
-        map.fitBounds(bounds);
-        //L.geoJson({ type: 'LineString', coordinates: [[MinLat_MinLon.lng, MinLat_MinLon.lat], [MaxLat_MaxLon.lng, MaxLat_MaxLon.lat]] }, { style: { color: '#ff0000'} }).addTo(map)
-        var mapper = cm.get('layersMapper')
-        var layer = mapper._layersHash['06CCCC47405646C1BC5C45090D38EA2B'],
-        enough = false,
-        border = function (b) {
-            //if (!enough) {
-                //console.log(b.coordinates[0])
-                //console.log(b.coordinates[0][0])
-                for (var i = 0; i < b.coordinates.length; ++i)
-                    for (var j = 0; j < b.coordinates[i].length; ++j) {
-                        var a = [];
-                        for (var k = 0; k < b.coordinates[i][j].length; ++k) {
-                            a.push(L.Projection.Mercator.unproject(L.point(b.coordinates[i][j][k])))
-                        }
-                        //console.log()
-                        markers.push(L.polygon(a, { color: 'red', fill: false }).addTo(map));
-                    }
-                enough = !enough;
-            //}
-        };
-                for (var i = 0; i < markers.length; ++i) map.removeLayer(markers[i]);
-                markers = [];
-        if (layer && !mapper._layersTree.find('06CCCC47405646C1BC5C45090D38EA2B').get('visible')) {
-            layer.setFilter(function (arg) {
-                var found = arg.properties[1] == first.fsc_id && arg.properties[4] == first.holder1
-                //if (found)
-                //    border(arg.properties[arg.properties.length - 1]);
-                return found;
-            })
-            cm.get('map').addLayer(layer);
-        }
-        else {
-            layer.setFilter(function (arg) {
-                //if (arg.properties[1] == first.fsc_id && arg.properties[4] == first.holder1)
-                //    border(arg.properties[arg.properties.length - 1]);
-                return true;
-            })
+    // Selected certificate and its boundaries drawn over the map
+    var selectedObject = null,
+        highlight = null,
+        highlightId = 0,    // responses of outdated geometry requests are ignored
+        geometryCollection = new nsGmx.FSCCollection(options.map);
+
+    var removeHighlight = function () {
+        if (highlight) {
+            options.map.removeLayer(highlight);
+            highlight = null;
         }
+        $(options.searchBarContainer).find('.searchClearHighlight, .searchHighlightError').hide();
+    };
 
-    }
+    // Show it position on map.
+    // obj - certificate attributes (fsc_id, holder1, envelope xmin, ymin, xmax, ymax in Mercator, ...)
+    // obj.geometry - GeoJSON in EPSG:4326. It is loaded by fsc_id, if not given
+    var showObjectPosition = function (obj) {
+        var requestId = ++highlightId;
+        selectedObject = obj;
+        self.trigger('objectselected', obj);
+        var fitBounds = function () {
+            options.map.fitBounds(L.latLngBounds(
+                L.Projection.Mercator.unproject(L.point(obj.xmin, obj.ymin)),
+                L.Projection.Mercator.unproject(L.point(obj.xmax, obj.ymax))
+            ));
+        };
+        // results in map extent mode aren't searched again, when the map is zoomed to one of them
+        resultCollection ? resultCollection.moveMapSilently(fitBounds) : fitBounds();
+        removeHighlight();
+        (obj.geometry ? $.when(obj.geometry) : geometryCollection.getGeometry(obj.fsc_id)).then(function (geometry) {
+            if (requestId !== highlightId) {
+                return;
+            }
+            highlight = L.geoJson(geometry, { style: HIGHLIGHT_STYLE, clickable: false }).addTo(options.map);
+            $(options.searchBarContainer).find('.searchClearHighlight').show();
+        }, function () {
+            // map is already zoomed to the certificate, only its boundaries are missing
+            requestId === highlightId && $(options.searchBarContainer).find('.searchHighlightError').show();
+        });
+    };
+
+    // Removes boundaries of selected certificate from map. Certificate stays selected
+    var clearHighlight = function () {
+        highlightId++;
+        removeHighlight();
+    };
+
+    // Suggestions request, which is waiting for delay or response: {deferred, collection}
+    var autoCompleteRequest = null;
+
+    // Stops the current suggestions request. Its deferred is resolved to prevent geocoding
+    var cancelAutoComplete = function () {
+        if (autoCompleteRequest) {
+            clearTimeout(autoCompleteRequest.timer);
+            autoCompleteRequest.collection && autoCompleteRequest.collection.abort();
+            autoCompleteRequest.deferred.state() === 'pending' && autoCompleteRequest.deferred.resolve(-1);
+            autoCompleteRequest = null;
+        }
+    };
 
-    // Define observer on starting of query suggestions search 
+    // Define observer on starting of query suggestions search.
+    // Request is sent after a pause in typing, previous request is cancelled
     var autoCompleteSearchObserver = function (next, deferred, params) {
+        cancelAutoComplete();
         if (params.searchString && params.searchString.search(/\S/) != -1) {
-            searchLayerObject(map,
-            params.searchString,
-            null, //params.dateInterval, 
-            {pagesize: 10 },
-            function () { deferred.resolve(-1) },
-            function () { deferred.resolve(next) },
-            function (objCollection) {
-                var arrResult = [];
-                objCollection.each(function (item) {
-                    //console.log(item.attributes.mmsi + ' ' + item.attributes.vesselName + ' ' + new Date(item.attributes.last * 1000));				
-                    arrResult.push({
-                        label: (item.attributes.fsc_id ? item.attributes.fsc_id + ' ' : '') + item.attributes.holder1,
-                        value: item.attributes.holder1,
-                        foundObject: [item.attributes.fsc_id, item.attributes.holder1,
-                        null//item.attributes.gmxGeojson
-                        , item.attributes.FM_CERT, item.attributes.CB
-                        , item.attributes.xmin, item.attributes.ymin, item.attributes.xmax, item.attributes.ymax
-                        ],
-                        GeoObject: null
+            var request = autoCompleteRequest = { deferred: deferred };
+            request.timer = setTimeout(function () {
+                request.collection = searchLayerObject(map,
+                getFilter(params.searchString),
+                { rankSize: 3 * AUTOCOMPLETE_SIZE, pageSize: AUTOCOMPLETE_SIZE, inExtent: searchState.inExtent },
+                function () { deferred.resolve(-1) },
+                function () { deferred.resolve(next) },
+                function (objCollection) {
+                    if (request !== autoCompleteRequest) {
+                        return;
+                    }
+                    autoCompleteRequest = null;
+                    var arrResult = [];
+                    objCollection.first(AUTOCOMPLETE_SIZE).forEach(function (item) {
+                        //console.log(item.attributes.mmsi + ' ' + item.attributes.vesselName + ' ' + new Date(item.attributes.last * 1000));				
+                        arrResult.push({
+                            label: (item.get('fsc_id') ? item.get('fsc_id') + ' ' : '') + item.get('holder1'),
+                            value: item.get('holder1'),
+                            foundObject: item.toJSON(),
+                            GeoObject: null
+                        });
                     });
+                    // Show result in a dropdown list and prevent geocoding the searh string
+                    params.callback(arrResult);
                 });
-                // Show result in a dropdown list and prevent geocoding the searh string
-                params.callback(arrResult);
-            });
+            }, AUTOCOMPLETE_DELAY);
         }
         else
             deferred.resolve(-1);
@@ -159,12 +411,58 @@ window.nsGmx.SearchControl = function (options) {
     window.gmxGeoCodeUseOSM = true;
     nsGmx.Translations.addText("rus", { SearchControl: {
         SearchPlaceholder: "Поиск по FSC_ID или компании-арендатору",
-        NoResult: "Поиск не дал результатов"
+        NoResult: "Поиск не дал результатов",
+        InExtent: "в окне карты",
+        InExtentTitle: "Искать только в пределах текущего окна карты",
+        Shown: "Показано",
+        Of: "из",
+        LoadMore: "Загрузить еще",
+        PageSize: "На странице",
+        RankLimit: "По сходству упорядочены только первые найденные сертификаты, уточните запрос",
+        ClearHighlight: "Убрать выделение сертификата",
+        Details: "Подробнее",
+        Area: "Площадь",
+        Centroid: "Центр (шир., долг.)",
+        Ha: "га",
+        GeometryError: "Не удалось загрузить границы сертификата",
+        FSCDatabase: "В базе FSC",
+        ZoomTo: "Приблизить",
+        CopyId: "Копировать ID",
+        Copied: "Скопировано",
+        CopyFailed: "Не удалось скопировать",
+        AddToComparison: "Добавить к сравнению",
+        Compare: "Сравнить",
+        Export: "Скачать",
+        ExportError: "Не удалось загрузить границы сертификатов",
+        Coordinates: "Координаты"
     }
     });
     nsGmx.Translations.addText("eng", { SearchControl: {
         SearchPlaceholder: "FSC_ID, company search",
-        NoResult: "No results found"
+        NoResult: "No results found",
+        InExtent: "in map view",
+        InExtentTitle: "Search in current map extent only",
+        Shown: "Shown",
+        Of: "of",
+        LoadMore: "Load more",
+        PageSize: "Page size",
+        RankLimit: "Only the first found certificates are ranked by similarity, refine the search",
+        ClearHighlight: "Clear certificate highlight",
+        Details: "Details",
+        Area: "Area",
+        Centroid: "Center (lat, lng)",
+        Ha: "ha",
+        GeometryError: "Certificate boundaries loading failed",
+        FSCDatabase: "FSC database",
+        ZoomTo: "Zoom to",
+        CopyId: "Copy ID",
+        Copied: "Copied",
+        CopyFailed: "Copy failed",
+        AddToComparison: "Add to comparison",
+        Compare: "Compare",
+        Export: "Export",
+        ExportError: "Certificates boundaries loading failed",
+        Coordinates: "Coordinates"
     }
     });
 
@@ -181,8 +479,55 @@ window.nsGmx.SearchControl = function (options) {
 		    Map: map
 		});
     searchControl.SetPlaceholder(nsGmx.Translations.getText('SearchControl.SearchPlaceholder'));
+
+    // "Search in map extent" toggle
+    var extentToggle = $('<label class="searchExtentToggle"><input type="checkbox"></label>')
+        .attr('title', nsGmx.Translations.getText('SearchControl.InExtentTitle'))
+        .append(document.createTextNode(' ' + nsGmx.Translations.getText('SearchControl.InExtent')))
+        .appendTo(searchBarContainer);
+    extentToggle.find('input').prop('checked', searchState.inExtent).on('change', function () {
+        self.setSearchState({ inExtent: this.checked });
+    });
+    $('<span class="searchClearHighlight">&times;</span>')
+        .attr('title', nsGmx.Translations.getText('SearchControl.ClearHighlight'))
+        .hide()
+        .on('click', clearHighlight)
+        .appendTo(searchBarContainer);
+    $('<span class="searchHighlightError"></span>')
+        .text(nsGmx.Translations.getText('SearchControl.GeometryError'))
+        .hide()
+        .appendTo(searchBarContainer);
+    // Checkboxes of results follow the comparison list
+    self.on('comparisonchange', function (list) {
+        var ids = _.pluck(list, 'fsc_id');
+        container.$el.find('.searchResultCheck').each(function () {
+            this.checked = ids.indexOf($(this).attr('data-fsc-id')) !== -1;
+        });
+    });
+    self.on('statechange', function (state) {
+        extentToggle.find('input').prop('checked', state.inExtent);
+        if (resultCollection && resultCollection.options.inExtent !== state.inExtent) {
+            resultCollection.setInExtent(state.inExtent);
+        }
+    });
+
+    // Advanced search by certificate attributes above the results
+    var resultTab = sideBar.addTab(resultTabId, 'icon-search'),
+        filterView = new nsGmx.FSCFilterView().on('search', function (filter) {
+            fullSearch(filter, function () { }, function () {
+                $('.searchResultCanvas').html($('<div class="SearchResultListNotFound"></div>')
+                    .attr('title', nsGmx.Translations.getText('SearchControl.NoResult')));
+            });
+        });
+    filterView.$el.appendTo(resultTab);
+
+    // Filter of search string with attribute filters of advanced search, if its form is open
+    var getFilter = function (searchString) {
+        return _.extend(filterView.isOpen() ? filterView.getFilter() : {}, { searchString: searchString });
+    };
+
     var scrollView = new nsGmx.ScrollView();
-    scrollView.appendTo(sideBar.addTab(resultTabId, 'icon-search'));
+    scrollView.appendTo(resultTab);
     $(window).on('resize', function () {
         scrollView.repaint();
     });
@@ -207,36 +552,62 @@ window.nsGmx.SearchControl = function (options) {
         }, 10);
     });
 
-    // Custom coordinate search
+    // Custom coordinate search: DMS, UTM, MGRS, Pulkovo-1942 and decimal degrees (see nsGmx.CoordinateParser)
+    var coordMarker,
+        listView = null,
+        footerView = null,
+        resultCollection = null;   // results of the last full search, updated on map move in inExtent mode
+
+    var showCoordinates = function (latLng, title) {
+        if (coordMarker)
+            map.removeLayer(coordMarker);
+        map.panTo(latLng);
+        var oldIP = L.Icon.Default.imagePath;
+        L.Icon.Default.imagePath = 'images';
+        coordMarker = L.marker(latLng, { icon: new L.Icon.Default({ iconAnchor: [-19, 40] }), draggable: true, title: title }).addTo(map);
+        L.Icon.Default.imagePath = oldIP;
+    };
+
     searchControl.removeSearchByStringHook();
+    // Parsed location is shown as the only suggestion
     searchControl.onAutoCompleteDataSearchStarting({
         observer: { add: true, observer: function (next, deferred, params) {
-            var pos = L.gmxUtil.parseCoordinates(params.searchString);
-            if (pos) {
+            var coords = nsGmx.CoordinateParser.parse(params.searchString);
+            if (coords) {
+                cancelAutoComplete();
+                params.callback([{
+                    label: nsGmx.Translations.getText('SearchControl.Coordinates') + (coords.name ? ' ' + coords.name : '') + ': ' +
+                        nsGmx.CoordinateParser.format(coords.latLng),
+                    value: params.searchString,
+                    coordinates: coords.latLng,
+                    foundObject: null,
+                    GeoObject: null
+                }]);
                 deferred.resolve(-1);
             }
             else
                 deferred.resolve(next);
         }
+        },
+        selectItem: function (event, oAutoCompleteItem) {
+            if (oAutoCompleteItem && oAutoCompleteItem.coordinates) {
+                showCoordinates(oAutoCompleteItem.coordinates, oAutoCompleteItem.value);
+            }
         }
     });
 
-    var coordMarker;
     searchControl.onSearchStarting({
         observer: { add: true, observer: function (next, deferred, params) {
-            var pos = L.gmxUtil.parseCoordinates(params.searchString);
-            if (coordMarker)
-                map.removeLayer(coordMarker);
-            if (pos) {
-                map.panTo(pos);
-                var oldIP = L.Icon.Default.imagePath;
-                L.Icon.Default.imagePath = 'images';
-                coordMarker = L.marker(pos, { icon: new L.Icon.Default({ iconAnchor: [-19, 40] }), draggable: true, title: params.searchString }).addTo(map);
-                L.Icon.Default.imagePath = oldIP;
+            var coords = nsGmx.CoordinateParser.parse(params.searchString);
+            if (coords) {
+                showCoordinates(coords.latLng, params.searchString);
                 deferred.resolve(-1);
             }
-            else
+            else {
+                if (coordMarker)
+                    map.removeLayer(coordMarker);
                 deferred.resolve(next);
+            }
         }
         }
     });
@@ -247,18 +618,53 @@ window.nsGmx.SearchControl = function (options) {
         selectItem: function (event, oAutoCompleteItem) {
             if (oAutoCompleteItem && oAutoCompleteItem.foundObject != null) {
                 //console.log(oAutoCompleteItem.foundObject);
-                showObjectPosition({ fsc_id: oAutoCompleteItem.foundObject[0],
-                    holder1: oAutoCompleteItem.foundObject[1],
-                    gmxGeojson: oAutoCompleteItem.foundObject[2],
-                    FM_CERT: oAutoCompleteItem.foundObject[3],
-                    CB: oAutoCompleteItem.foundObject[4],
-                    xmin: oAutoCompleteItem.foundObject[5], ymin: oAutoCompleteItem.foundObject[6],
-                    xmax: oAutoCompleteItem.foundObject[7], ymax: oAutoCompleteItem.foundObject[8]
-                });
+                showObjectPosition(oAutoCompleteItem.foundObject);
             }
         }
     });
 
+    var removeResultViews = function () {
+        listView && listView.remove();
+        footerView && footerView.remove();
+        listView = footerView = null;
+    };
+
+    // Searches certificates by filter and shows results in the sidebar tab.
+    // stop is called, if something is found, otherwise proceed is called
+    var fullSearch = function (filter, stop, proceed) {
+        // Show result panel with status
+        $(searchControl).trigger('onBeforeSearch');
+        cancelAutoComplete();
+
+        removeResultViews();
+        resultCollection && resultCollection.dispose();
+        resultCollection = searchLayerObject(map, filter,
+        { pageSize: searchState.pageSize, inExtent: searchState.inExtent, updateOnMove: true },
+        stop,
+        proceed,
+        function (objCollection) {
+            //console.log(objCollection);	
+
+            // Show first. In extent mode map isn't moved, as it would change results
+            var first = objCollection.first();
+            filter.searchString && searchControl.SetSearchString(first.get('holder1'));
+            objCollection.options.inExtent || showObjectPosition(first.toJSON());
+
+            // Show result
+            $('.searchResultCanvas').empty()
+            .next('div').remove();
+            //console.log(container.$el);
+            removeResultViews();
+            listView = new SearchResultListView({ model: objCollection }).appendTo(container.$el.children()[0])
+            .on('marker', function (model) {
+                showObjectPosition(model.toJSON());
+            })
+            .render();
+            footerView = new SearchResultFooterView({ model: objCollection, scrollContainer: scrollView.el }).render();
+            footerView.$el.appendTo(container.$el.children()[0]);
+        });
+    };
+
     // Subscribe observer on search srarting
     searchControl.onSearchStarting({
         observer: { add: true, observer: function (next, deferred, params) {
@@ -268,51 +674,54 @@ window.nsGmx.SearchControl = function (options) {
                 // Override methods of geocoder result list widget
                 params.lstResult.ShowLoading = function () { }
 
-                // Show result panel with status
-                $(searchControl).trigger('onBeforeSearch');
-
-                searchLayerObject(map, params.searchString, null, //params.dateInterval, 
-                {},
-                function () { deferred.resolve(-1) },
-                function () { deferred.resolve(next) },
-                function (objCollection) {
-                    //console.log(objCollection);	
+                fullSearch(getFilter(params.searchString),
+                function () {
                     params.lstResult.eraseMarkers();
-
-                    // Show first
-                    var first = objCollection.first();
-                    searchControl.SetSearchString(first.get('holder1'));
-                    showObjectPosition({ fsc_id: first.get('fsc_id'),
-                        holder1: first.get('holder1'),
-                        gmxGeojson: first.get('gmxGeojson'),
-                        FM_CERT: first.get('FM_CERT'),
-                        CB: first.get('CB'),
-                        xmin: first.get('xmin'), ymin: first.get('ymin'),
-                        xmax: first.get('xmax'), ymax: first.get('ymax')
-                    });
-
-                    // Show result
-                    $('.searchResultCanvas').empty()
-                    .next('div').remove();
-                    //console.log(container.$el);
-                    new SearchResultListView({ model: objCollection }).appendTo(container.$el.children()[0])
-                    .on('marker', function (model) {
-                        showObjectPosition({ fsc_id: model.get('fsc_id'),
-                            holder1: model.get('holder1'),
-                            gmxGeojson: model.get('gmxGeojson'),
-                            FM_CERT: model.get('FM_CERT'),
-                            CB: model.get('CB'),
-                            xmin: model.get('xmin'), ymin: model.get('ymin'),
-                            xmax: model.get('xmax'), ymax: model.get('ymax')
-                        });
-                    })
-                    .render();
-                });
+                    deferred.resolve(-1);
+                },
+                function () { deferred.resolve(next) });
             }
             else
                 deferred.resolve(-1);
         }
         }
     });
+
+    // Public interface
+    this.showObjectPosition = showObjectPosition;
+    this.clearHighlight = clearHighlight;
+    this.getSearchState = function () {
+        return _.clone(searchState);
+    };
+    // state - {pageSize, inExtent}. New page size is used by the next search, inExtent is applied to current results as well
+    this.setSearchState = function (state) {
+        _.extend(searchState, _.pick(state, _.keys(searchState)));
+        try {
+            window.localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(searchState));
+        } catch (e) { }
+        this.trigger('statechange', this.getSearchState());
+    };
+    this.getSelectedObject = function () {
+        return selectedObject;
+    };
+
+    // Certificates to compare, unique by fsc_id
+    var comparison = [];
+    this.getComparison = function () {
+        return comparison.slice();
+    };
+    this.addToComparison = function (obj) {
+        if (!_.findWhere(comparison, { fsc_id: obj.fsc_id })) {
+            comparison.push(obj);
+            this.trigger('comparisonchange', this.getComparison());
+        }
+    };
+    this.removeFromComparison = function (fscId) {
+        var obj = _.findWhere(comparison, { fsc_id: fscId });
+        if (obj) {
+            comparison = _.without(comparison, obj);
+            this.trigger('comparisonchange', this.getComparison());
+        }
+    };
 }
 // ** window.nsGmx.SearchControl
@@ -0,0 +1,254 @@
+window.nsGmx = window.nsGmx || {};
+
+/**
+	Parser of point coordinates typed in search bar:
+	- degrees, minutes and seconds with hemisphere letters: 55°45'20.5"N 37°37'03"E, N55 45.3 E37 37.05, 55°45′ с.ш. 37°37′ в.д.
+	- UTM: 37U 412345 6181234
+	- MGRS: 37UDB1234567890, 37U DB 12345 67890
+	- Gauss-Kruger zones of Pulkovo-1942 (SK-42) with zone number in Y: X=6181234 Y=7412345, СК-42 6181234 7412345
+	- other forms, which are understood by L.gmxUtil.parseCoordinates
+	nsGmx.CoordinateParser.parse(str) returns {latLng, type, name} or null
+*/
+window.nsGmx.CoordinateParser = (function () {
+    var RAD = Math.PI / 180;
+
+    var WGS84 = { a: 6378137, f: 1 / 298.257223563 },
+        KRASSOVSKY = { a: 6378245, f: 1 / 298.3 },
+        // Pulkovo-1942 to WGS84 (position vector, m and arc seconds, ppm)
+        PULKOVO_TO_WGS84 = [23.92, -141.27, -80.9, 0, 0.35, 0.82, -0.12];
+
+    var NUMBER = '(\\d+(?:[.,]\\d+)?)';
+
+    var toNumber = function (str) {
+        return parseFloat(String(str).replace(',', '.'));
+    };
+
+    // Inverse transverse Mercator projection (Snyder). Returns [lat, lng] in degrees
+    var inverseTM = function (x, y, ellipsoid, lng0, k0, falseEasting, falseNorthing) {
+        var a = ellipsoid.a,
+            e2 = ellipsoid.f * (2 - ellipsoid.f),
+            ep2 = e2 / (1 - e2),
+            e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2)),
+            mu = (y - falseNorthing) / k0 / (a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256)),
+            phi1 = mu + (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+                (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+                (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+                (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu),
+            sin = Math.sin(phi1),
+            cos = Math.cos(phi1),
+            tan = Math.tan(phi1),
+            C = ep2 * cos * cos,
+            T = tan * tan,
+            N = a / Math.sqrt(1 - e2 * sin * sin),
+            R = a * (1 - e2) / Math.pow(1 - e2 * sin * sin, 1.5),
+            D = (x - falseEasting) / (N * k0);
+
+        var lat = phi1 - (N * tan / R) * (D * D / 2 -
+            (5 + 3 * T + 10 * C - 4 * C * C - 9 * ep2) * Math.pow(D, 4) / 24 +
+            (61 + 90 * T + 298 * C + 45 * T * T - 252 * ep2 - 3 * C * C) * Math.pow(D, 6) / 720);
+        var lng = (D - (1 + 2 * T + C) * Math.pow(D, 3) / 6 +
+            (5 - 2 * C + 28 * T - 3 * C * C + 8 * ep2 + 24 * T * T) * Math.pow(D, 5) / 120) / cos;
+
+        return [lat / RAD, lng0 + lng / RAD];
+    };
+
+    // Geodetic coordinates on one ellipsoid to another by Helmert transformation of geocentric coordinates
+    var transformDatum = function (lat, lng, from, to, params) {
+        var e2 = from.f * (2 - from.f),
+            phi = lat * RAD,
+            lambda = lng * RAD,
+            N = from.a / Math.sqrt(1 - e2 * Math.sin(phi) * Math.sin(phi)),
+            x = N * Math.cos(phi) * Math.cos(lambda),
+            y = N * Math.cos(phi) * Math.sin(lambda),
+            z = N * (1 - e2) * Math.sin(phi),
+            rx = params[3] / 3600 * RAD,
+            ry = params[4] / 3600 * RAD,
+            rz = params[5] / 3600 * RAD,
+            scale = 1 + params[6] / 1e6,
+            x2 = params[0] + scale * (x - rz * y + ry * z),
+            y2 = params[1] + scale * (rz * x + y - rx * z),
+            z2 = params[2] + scale * (-ry * x + rx * y + z);
+
+        // iterative inverse conversion, converges in a few steps
+        var e2to = to.f * (2 - to.f),
+            p = Math.sqrt(x2 * x2 + y2 * y2),
+            phi2 = Math.atan2(z2, p * (1 - e2to));
+        for (var i = 0; i < 5; i++) {
+            var N2 = to.a / Math.sqrt(1 - e2to * Math.sin(phi2) * Math.sin(phi2));
+            phi2 = Math.atan2(z2 + e2to * N2 * Math.sin(phi2), p);
+        }
+        return [phi2 / RAD, Math.atan2(y2, x2) / RAD];
+    };
+
+    var toLatLng = function (coords) {
+        if (!isFinite(coords[0]) || !isFinite(coords[1])) {
+            return null;
+        }
+        var latLng = L.latLng(coords[0], coords[1]);
+        return Math.abs(latLng.lat) <= 90 && Math.abs(latLng.lng) <= 180 ? latLng : null;
+    };
+
+    var utmToLatLng = function (zone, south, easting, northing) {
+        if (zone < 1 || zone > 60) {
+            return null;
+        }
+        return toLatLng(inverseTM(easting, northing, WGS84, zone * 6 - 183, 0.9996, 500000, south ? 10000000 : 0));
+    };
+
+    // Latitude bands of UTM/MGRS, C - M are in southern hemisphere
+    var BANDS = 'CDEFGHJKLMNPQRSTUVWX',
+        // Minimal northing of bands modulo 2000 km (m)
+        BAND_MIN_NORTHING = [1100000, 2000000, 2800000, 3700000, 4600000, 5500000, 6400000, 7300000, 8200000, 9100000,
+            0, 800000, 1700000, 2600000, 3500000, 4400000, 5300000, 6200000, 7000000, 7900000],
+        MGRS_COLUMNS = 'ABCDEFGHJKLMNPQRSTUVWXYZ',
+        MGRS_ROWS = 'ABCDEFGHJKLMNPQRSTUV';
+
+    var parsers = [
+        // MGRS
+        function (str) {
+            // easting and northing digits are required, separated by space or not, to tell MGRS from words like "2 ELK"
+            var m = str.match(/^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(?:(\d{1,5})\s+(\d{1,5})|(\d{2,10}))$/i);
+            if (!m) {
+                return null;
+            }
+            var zone = Number(m[1]),
+                band = m[2].toUpperCase(),
+                digits = m[7] || m[5] + m[6];
+            if (digits.length % 2 || (m[5] && m[5].length !== m[6].length)) {
+                return null;
+            }
+            var set = (zone - 1) % 6,
+                precision = digits.length / 2,
+                unit = Math.pow(10, 5 - precision),
+                column = MGRS_COLUMNS.indexOf(m[3].toUpperCase()) - [0, 8, 16][set % 3],
+                row = (MGRS_ROWS.indexOf(m[4].toUpperCase()) - (set % 2 ? 5 : 0) + MGRS_ROWS.length) % MGRS_ROWS.length,
+                easting = (column + 1) * 100000 + (precision ? Number(digits.substr(0, precision)) * unit : 0),
+                northing = row * 100000 + (precision ? Number(digits.substr(precision)) * unit : 0),
+                bandIndex = BANDS.indexOf(band);
+
+            if (column < 0 || column > 7) {
+                return null;
+            }
+            while (northing < BAND_MIN_NORTHING[bandIndex]) {
+                northing += 2000000;
+            }
+            var latLng = utmToLatLng(zone, bandIndex < 10, easting, northing);
+            return latLng && { latLng: latLng, type: 'mgrs', name: 'MGRS' };
+        },
+
+        // UTM: zone with latitude band or hemisphere letter, easting, northing
+        function (str) {
+            var m = str.match(new RegExp('^(?:utm\\s*)?(\\d{1,2})\\s*([C-HJ-NP-X])\\s+' + NUMBER + '\\s*(?:m\\s*)?E?[\\s,;]+' + NUMBER + '\\s*(?:m\\s*)?N?$', 'i'));
+            if (!m) {
+                return null;
+            }
+            var zone = Number(m[1]),
+                band = m[2].toUpperCase(),
+                latLng = utmToLatLng(zone, BANDS.indexOf(band) < 10, toNumber(m[3]), toNumber(m[4]));
+            return latLng && { latLng: latLng, type: 'utm', name: 'UTM ' + zone + band };
+        },
+
+        // Gauss-Kruger Pulkovo-1942: X (northing) and Y (easting with zone number in millions), X goes first without labels
+        function (str) {
+            var s = str.replace(/^\s*(?:ск-?42|sk-?42|пулково(?:-1942)?|pulkovo(?:-1942)?|гк|gk)[\s:,;]*/i, ''),
+                labeled = s.match(new RegExp('^([XYХУ])\\s*[=:]?\\s*' + NUMBER + '[\\s,;]+([XYХУ])\\s*[=:]?\\s*' + NUMBER + '$', 'i')),
+                x, y;
+            if (labeled) {
+                var first = labeled[1].toUpperCase();
+                if (/[XХ]/.test(first) === /[XХ]/i.test(labeled[3])) {
+                    return null;
+                }
+                x = toNumber(/[XХ]/.test(first) ? labeled[2] : labeled[4]);
+                y = toNumber(/[XХ]/.test(first) ? labeled[4] : labeled[2]);
+            } else {
+                var m = s.length < str.length && s.match(new RegExp('^' + NUMBER + '[\\s,;]+' + NUMBER + '$'));
+                if (!m) {
+                    return null;
+                }
+                x = toNumber(m[1]);
+                y = toNumber(m[2]);
+            }
+            var zone = Math.floor(y / 1000000),
+                easting = y - zone * 1000000;
+            if (zone < 1 || zone > 60 || x < 0 || x > 10000000 || easting < 100000 || easting > 900000) {
+                return null;
+            }
+            var coords = inverseTM(easting, x, KRASSOVSKY, zone * 6 - 3, 1, 500000, 0),
+                latLng = toLatLng(transformDatum(coords[0], coords[1], KRASSOVSKY, WGS84, PULKOVO_TO_WGS84));
+            return latLng && { latLng: latLng, type: 'gk', name: 'Pulkovo-1942 GK ' + zone };
+        },
+
+        // Degrees, minutes and seconds. At least one hemisphere letter or degree sign is required
+        function (str) {
+            var s = str.toUpperCase()
+                .replace(/[′’‘`]/g, '\'')
+                .replace(/[″”“]|''/g, '"')
+                .replace(/С\.?\s*Ш\.?/g, 'N').replace(/Ю\.?\s*Ш\.?/g, 'S')
+                .replace(/В\.?\s*Д\.?/g, 'E').replace(/З\.?\s*Д\.?/g, 'W')
+                .replace(/(^|[\s\d°'"])([СЮВЗ])(?=$|[\s\d])/g, function (all, before, letter) {
+                    return before + { 'С': 'N', 'Ю': 'S', 'В': 'E', 'З': 'W' }[letter];
+                });
+            if (!/[NSEW°'"]/.test(s)) {
+                return null;
+            }
+            // hemisphere letters go either before or after both coordinates
+            var value = NUMBER + '\\s*°?\\s*(?:' + NUMBER + '\\s*\'?\\s*)?(?:' + NUMBER + '\\s*"?\\s*)?',
+                m = s.match(new RegExp('^\\s*([NSEW])\\s*' + value + '[\\s,;]*([NSEW])\\s*' + value + '$')),
+                parts = m && [[m[1], m[2], m[3], m[4]], [m[5], m[6], m[7], m[8]]];
+            if (!m) {
+                m = s.match(new RegExp('^\\s*' + value + '([NSEW])?[\\s,;]*' + value + '([NSEW])?\\s*$'));
+                parts = m && [[m[4], m[1], m[2], m[3]], [m[8], m[5], m[6], m[7]]];
+            }
+            if (!m) {
+                return null;
+            }
+            var coords = parts.map(function (p) {
+                var hemisphere = p[0],
+                    value = toNumber(p[1]) + (p[2] ? toNumber(p[2]) / 60 : 0) + (p[3] ? toNumber(p[3]) / 3600 : 0);
+                if ((p[2] && toNumber(p[2]) >= 60) || (p[3] && toNumber(p[3]) >= 60)) {
+                    return null;
+                }
+                return { hemisphere: hemisphere, value: hemisphere === 'S' || hemisphere === 'W' ? -value : value };
+            });
+            if (!coords[0] || !coords[1]) {
+                return null;
+            }
+            // latitude goes first, if there are no hemisphere letters
+            if (/[EW]/.test(coords[0].hemisphere) || /[NS]/.test(coords[1].hemisphere)) {
+                coords.reverse();
+            }
+            if (/[EW]/.test(coords[0].hemisphere) || /[NS]/.test(coords[1].hemisphere)) {
+                return null;
+            }
+            var latLng = toLatLng([coords[0].value, coords[1].value]);
+            return latLng && { latLng: latLng, type: 'dms', name: 'DMS' };
+        }
+    ];
+
+    var CoordinateParser = {
+        parse: function (str) {
+            str = $.trim(String(str || ''));
+            if (!str) {
+                return null;
+            }
+            for (var i = 0; i < parsers.length; i++) {
+                var result = parsers[i](str);
+                if (result) {
+                    return result;
+                }
+            }
+            var coords = L.gmxUtil.parseCoordinates(str),
+                latLng = coords && L.latLng(coords);
+            latLng = latLng && toLatLng([latLng.lat, latLng.lng]);
+            return latLng ? { latLng: latLng, type: 'latlng', name: '' } : null;
+        },
+
+        // Latitude and longitude in degrees with hemisphere letters: 55.75583°N, 37.61730°E
+        format: function (latLng) {
+            return Math.abs(latLng.lat).toFixed(5) + '°' + (latLng.lat < 0 ? 'S' : 'N') + ', ' +
+                Math.abs(latLng.lng).toFixed(5) + '°' + (latLng.lng < 0 ? 'W' : 'E');
+        }
+    };
+
+    return CoordinateParser;
+})();
@@ -0,0 +1,99 @@
+window.nsGmx = window.nsGmx || {};
+
+/**
+	Helpers to build query and columns parameters of VectorLayer/Search.ashx.
+	Values are always escaped, so user input can't change query structure:
+	nsGmx.QueryBuilder.or([
+		nsGmx.QueryBuilder.contains('FSC_ID', str),
+		nsGmx.QueryBuilder.contains('HOLDER_1', str)
+	])
+*/
+window.nsGmx.QueryBuilder = (function () {
+    var OPERATORS = ['=', '<>', '<', '<=', '>', '>=', 'contains'];
+
+    var join = function (conditions, operator) {
+        conditions = _.filter(_.flatten([conditions]), function (condition) {
+            return condition;
+        });
+        if (conditions.length < 2) {
+            return conditions[0] || '';
+        }
+        return conditions.map(function (condition) {
+            return '(' + condition + ')';
+        }).join(' ' + operator + ' ');
+    };
+
+    var QueryBuilder = {
+        // String in single quotes with doubled inner quotes, numbers as is
+        literal: function (value) {
+            if (typeof value === 'number' && isFinite(value)) {
+                return String(value);
+            }
+            return '\'' + String(value === null || value === undefined ? '' : value).replace(/'/g, '\'\'') + '\'';
+        },
+
+        // [name] or [tableAlias].[name]
+        field: function (name, tableAlias) {
+            var escape = function (str) {
+                return '[' + String(str).replace(/\]/g, ']]') + ']';
+            };
+            return (tableAlias ? escape(tableAlias) + '.' : '') + escape(name);
+        },
+
+        // Server function of field expression, e.g. year([date])
+        func: function (name, expression) {
+            if (!/^\w+$/.test(name)) {
+                throw new Error('QueryBuilder: invalid function name ' + name);
+            }
+            return name + '(' + expression + ')';
+        },
+
+        // expression - result of field() or func()
+        compare: function (expression, operator, value) {
+            if (OPERATORS.indexOf(operator) === -1) {
+                throw new Error('QueryBuilder: invalid operator ' + operator);
+            }
+            return expression + ' ' + operator + ' ' + QueryBuilder.literal(value);
+        },
+
+        equals: function (fieldName, value) {
+            return QueryBuilder.compare(QueryBuilder.field(fieldName), '=', value);
+        },
+
+        contains: function (fieldName, value) {
+            return QueryBuilder.compare(QueryBuilder.field(fieldName), 'contains', value);
+        },
+
+        inList: function (expression, values) {
+            return expression + ' in (' + values.map(QueryBuilder.literal).join(', ') + ')';
+        },
+
+        // Conditions can be passed as array or as arguments. Empty conditions are skipped
+        and: function () {
+            return join(_.toArray(arguments), 'AND');
+        },
+
+        or: function () {
+            return join(_.toArray(arguments), 'OR');
+        },
+
+        /** Columns parameter in JSON
+		@param columns - array of field names, {Value, Alias} or {field, alias} items, or result of previous call
+        */
+        columns: function (columns) {
+            if (typeof columns === 'string') {
+                columns = JSON.parse(columns);
+            }
+            return JSON.stringify(columns.map(function (column) {
+                if (typeof column === 'string') {
+                    return { Value: column };
+                }
+                var value = column.Value || column.field,
+                    alias = column.Alias || column.alias;
+                return alias ? { Value: value, Alias: alias } : { Value: value };
+            }));
+        }
+    };
+
+    return QueryBuilder;
+})();
@@ -0,0 +1,129 @@
+window.nsGmx = window.nsGmx || {};
+
+/**
+	Normalization and Russian-Latin transliteration of company names for fuzzy search.
+	"ООО «Илим»" and "Ilim LLC" have the same key: nsGmx.Transliteration.key(str) === 'ilim'
+*/
+window.nsGmx.Transliteration = (function () {
+    var CYRILLIC_TO_LATIN = {
+        'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'ж': 'zh', 'з': 'z', 'и': 'i',
+        'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't',
+        'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '',
+        'э': 'e', 'ю': 'yu', 'я': 'ya'
+    };
+
+    // Letter combinations go before single letters
+    var LATIN_TO_CYRILLIC = [
+        ['shch', 'щ'], ['sch', 'щ'], ['zh', 'ж'], ['kh', 'х'], ['ts', 'ц'], ['ch', 'ч'], ['sh', 'ш'],
+        ['yu', 'ю'], ['ya', 'я'], ['yo', 'ё'], ['ye', 'е'],
+        ['a', 'а'], ['b', 'б'], ['c', 'к'], ['d', 'д'], ['e', 'е'], ['f', 'ф'], ['g', 'г'], ['h', 'х'],
+        ['i', 'и'], ['j', 'й'], ['k', 'к'], ['l', 'л'], ['m', 'м'], ['n', 'н'], ['o', 'о'], ['p', 'п'],
+        ['q', 'к'], ['r', 'р'], ['s', 'с'], ['t', 'т'], ['u', 'у'], ['v', 'в'], ['w', 'в'], ['x', 'кс'],
+        ['y', 'ы'], ['z', 'з']
+    ];
+
+    var QUOTES = /["'`«»„“”‘’]/g;
+
+    // Legal forms as separate words, full names first
+    var LEGAL_FORMS = new RegExp('(^|\\s)(' + [
+        'общество с ограниченной ответственностью', '(?:публичное |открытое |закрытое |непубличное )?акционерное общество',
+        'индивидуальный предприниматель', 'limited liability company', '(?:open |closed |public )?joint[- ]stock company',
+        'ооо', 'оао', 'зао', 'пао', 'нао', 'ао', 'ип', 'фгуп', 'гуп', 'муп', 'тоо',
+        'llc', 'ltd', 'jsc', 'ojsc', 'cjsc', 'pjsc', 'inc', 'gmbh', 'ooo', 'oao', 'zao', 'pao', 'ao'
+    ].join('|') + ')\\.?(?=\\s|$)', 'g');
+
+    var levenshtein = function (a, b) {
+        var prev = [], cur, i, j;
+        for (j = 0; j <= b.length; j++) {
+            prev[j] = j;
+        }
+        for (i = 1; i <= a.length; i++) {
+            cur = [i];
+            for (j = 1; j <= b.length; j++) {
+                cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            prev = cur;
+        }
+        return prev[b.length];
+    };
+
+    var Transliteration = {
+        toLatin: function (str) {
+            return String(str).replace(/[а-яё]/gi, function (letter) {
+                var latin = CYRILLIC_TO_LATIN[letter.toLowerCase()];
+                return letter === letter.toLowerCase() || !latin ? latin : latin.charAt(0).toUpperCase() + latin.slice(1);
+            });
+        },
+
+        // Result is in lower case
+        toCyrillic: function (str) {
+            var lower = String(str).toLowerCase(),
+                result = '';
+            for (var i = 0; i < lower.length; ) {
+                var pair = _.find(LATIN_TO_CYRILLIC, function (pair) {
+                    return lower.substr(i, pair[0].length) === pair[0];
+                });
+                if (!pair) {
+                    result += lower.charAt(i++);
+                } else {
+                    // "y" after vowel is "й": "Yenisey" - "енисей"
+                    result += pair[0] === 'y' && /[аеёиоуыэюя]$/.test(result) ? 'й' : pair[1];
+                    i += pair[0].length;
+                }
+            }
+            return result;
+        },
+
+        // Lower case string without quotes, legal forms and extra spaces
+        normalize: function (str) {
+            return String(str).toLowerCase()
+                .replace(QUOTES, ' ')
+                .replace(/\s+/g, ' ')
+                .replace(LEGAL_FORMS, ' ')
+                .replace(/\s+/g, ' ')
+                .replace(/^\s|\s$/g, '');
+        },
+
+        // Normalized string as typed and in both alphabets, without duplicates
+        variants: function (str) {
+            var normalized = Transliteration.normalize(str);
+            return normalized ? _.uniq([normalized, Transliteration.toLatin(normalized), Transliteration.toCyrillic(normalized)]) : [];
+        },
+
+        // Latin form for comparison: only letters and digits separated by spaces
+        key: function (str) {
+            return Transliteration.toLatin(Transliteration.normalize(str))
+                .replace(/[^a-z0-9]+/g, ' ')
+                .replace(/^\s|\s$/g, '');
+        },
+
+        /** Similarity of text to search string from 0 to 1.
+			Exact match is better than prefix, prefix is better than substring, the rest is compared with words by Levenshtein distance
+        */
+        similarity: function (searchString, text) {
+            var query = Transliteration.key(searchString),
+                str = Transliteration.key(text);
+            if (!query || !str) {
+                return 0;
+            }
+            if (str === query) {
+                return 1;
+            }
+            if (str.indexOf(query) === 0) {
+                return 0.9 + 0.05 * query.length / str.length;
+            }
+            var words = str.split(' ');
+            if (_.any(words, function (word) { return word.indexOf(query) === 0; })) {
+                return 0.8 + 0.05 * query.length / str.length;
+            }
+            if (str.indexOf(query) !== -1) {
+                return 0.7;
+            }
+            return 0.6 * _.max(words.map(function (word) {
+                return 1 - levenshtein(query, word) / Math.max(query.length, word.length);
+            }));
+        }
+    };
+
+    return Transliteration;
+})();
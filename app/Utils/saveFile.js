@@ -0,0 +1,19 @@
+window.nsGmx = window.nsGmx || {};
+
+// Saves text or Blob as file on user's computer
+window.nsGmx.saveFile = function (content, fileName, mimeType) {
+    var blob = content instanceof Blob ? content : new Blob([content], { type: mimeType || 'text/plain;charset=utf-8' });
+
+    if (navigator.msSaveBlob) {
+        navigator.msSaveBlob(blob, fileName);
+        return;
+    }
+
+    var url = URL.createObjectURL(blob),
+        link = $('<a>').attr({ href: url, download: fileName }).appendTo('body');
+    link[0].click();
+    link.remove();
+    setTimeout(function () {
+        URL.revokeObjectURL(url);
+    }, 0);
+};
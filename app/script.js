@@ -12,6 +12,15 @@ function onApplicationReady(cm) {
 
 $(document).ready(function (je) {
     $.ajax('./app/config.json').then(function (resp) {
+        // GFW tiles source and years range
+        if (resp.gfw && L.GFWLayerWithSlider) {
+            L.GFWLayerWithSlider.mergeOptions(resp.gfw);
+        }
+        // certificates layer and its attributes for search
+        if (resp.search) {
+            nsGmx.FSCCollection.mergeOptions(resp.search);
+        }
+
         var cm = window.cm = nsGmx.createGmxApplication($('body')[0], resp);
 
         cm.define('headerContainerControl', ['map'], function (cm) {
@@ -32,6 +41,37 @@ $(document).ready(function (je) {
             return searchBarWidget;
         });
 
+        cm.define('lossAnalysisPanel', ['map', 'gmxMap', 'sidebarWidget', 'searchBarWidget'], function (cm) {
+            var gfwLayer = _.find(cm.get('gmxMap').layers, function (layer) {
+                return layer instanceof L.GFWLayerWithSlider;
+            });
+            return new nsGmx.LossAnalysisPanel({
+                map: cm.get('map'),
+                sidebarWidget: cm.get('sidebarWidget'),
+                searchControl: cm.get('searchBarWidget').searchControl,
+                gfwLayer: gfwLayer ? gfwLayer.getLayer() : new L.GFWLayer(L.GFWLayerWithSlider.prototype.options)
+            });
+        });
+
+        cm.define('lossAlertsPanel', ['map', 'sidebarWidget', 'searchBarWidget', 'lossAnalysisPanel'], function (cm) {
+            return new nsGmx.LossAlertsPanel({
+                map: cm.get('map'),
+                sidebarWidget: cm.get('sidebarWidget'),
+                searchControl: cm.get('searchBarWidget').searchControl,
+                gfwLayer: cm.get('lossAnalysisPanel').options.gfwLayer
+            });
+        });
+
+        cm.define('comparisonPanel', ['map', 'sidebarWidget', 'searchBarWidget', 'lossAnalysisPanel', 'cosmosagroTimeline'], function (cm) {
+            return new nsGmx.ComparisonPanel({
+                map: cm.get('map'),
+                sidebarWidget: cm.get('sidebarWidget'),
+                searchControl: cm.get('searchBarWidget').searchControl,
+                gfwLayer: cm.get('lossAnalysisPanel').options.gfwLayer,
+                agroTimeline: cm.get('cosmosagroTimeline')
+            });
+        });
+
         cm.define('cosmosagroTimeline', ['map'], function (cm) {
             var map = cm.get('map');
             var t = new L.Control.gmxAgroTimeline();
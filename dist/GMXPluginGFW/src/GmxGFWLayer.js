@@ -27,9 +27,21 @@ if (window.gmxCore) {
             if (!L.GFWLayerWithSlider) {
                 gmxCore.loadCSS(path + 'L.GFWSlider.css');
                 return $.when(
+                    gmxCore.loadScript(path + 'L.GFWColorRamps.js'),
+                    gmxCore.loadScript(path + 'L.GFWTileCache.js'),
+                    gmxCore.loadScript(path + 'L.GFWWorkerPool.js'),
                     gmxCore.loadScript(path + 'L.GFWLayer.js'),
+                    gmxCore.loadScript(path + 'L.GFWRangeSlider.js'),
                     gmxCore.loadScript(path + 'L.GFWSlider.js')
-                );
+                ).then(function() {
+                    // extensions and descendants of L.GFWLayer
+                    return $.when(
+                        gmxCore.loadScript(path + 'L.GFWProducts.js'),
+                        gmxCore.loadScript(path + 'L.GFWAnalysis.js'),
+                        gmxCore.loadScript(path + 'L.GFWInspector.js'),
+                        gmxCore.loadScript(path + 'L.GFWExport.js')
+                    );
+                });
             }
         }
         
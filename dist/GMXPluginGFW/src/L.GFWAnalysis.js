@@ -0,0 +1,156 @@
+/** Forest loss statistics inside polygon, calculated from GFW tiles pixels
+*/
+(function (){
+
+var EARTH_CIRCUMFERENCE = 40075016.686; // m
+
+var getPolygons = function(geometry) {
+    if (geometry.type === 'Feature') {
+        geometry = geometry.geometry;
+    }
+    if (geometry.type === 'Polygon') {
+        return [geometry.coordinates];
+    }
+    if (geometry.type === 'MultiPolygon') {
+        return geometry.coordinates;
+    }
+    throw new Error('GFW analysis: unsupported geometry type ' + geometry.type);
+};
+
+// Max zoom, where polygon pixel bounds fit into maxTiles tiles
+var getAnalysisZoom = function(polygons, maxZoom, maxTiles) {
+    var bounds = L.latLngBounds([]);
+    polygons.forEach(function(polygon) {
+        polygon[0].forEach(function(coord) {
+            bounds.extend([coord[1], coord[0]]);
+        });
+    });
+
+    for (var z = maxZoom; z > 0; z--) {
+        var nw = L.CRS.EPSG3857.latLngToPoint(bounds.getNorthWest(), z).divideBy(256).floor(),
+            se = L.CRS.EPSG3857.latLngToPoint(bounds.getSouthEast(), z).divideBy(256).floor();
+
+        if ((se.x - nw.x + 1) * (se.y - nw.y + 1) <= maxTiles) {
+            return {zoom: z, min: nw, max: se};
+        }
+    }
+    return {zoom: 0, min: L.point(0, 0), max: L.point(0, 0)};
+};
+
+// Alpha channel of result is polygon mask for tile
+var drawMask = function(polygons, tilePoint, zoom) {
+    var canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 256;
+
+    var ctx = canvas.getContext('2d'),
+        offset = tilePoint.multiplyBy(256);
+
+    polygons.forEach(function(polygon) {
+        ctx.beginPath();
+        polygon.forEach(function(ring) {
+            ring.forEach(function(coord, i) {
+                var p = L.CRS.EPSG3857.latLngToPoint(L.latLng(coord[1], coord[0]), zoom).subtract(offset);
+                i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y);
+            });
+            ctx.closePath();
+        });
+        ctx.fill('evenodd');
+    });
+
+    return ctx.getImageData(0, 0, 256, 256).data;
+};
+
+L.GFWLayer.include({
+    /** Calculates tree cover loss inside polygon.
+     * @param {Object} geometry GeoJSON Polygon or MultiPolygon (or Feature with it) in EPSG:4326
+     * @param {Object} [options]
+     * @param {Number} [options.maxZoom=12] Max zoom of tiles used for calculation
+     * @param {Number} [options.maxTiles=64] Max number of tiles to load
+     * @return {jQuery.Deferred} Resolved with {zoom, area, loss, total, tiles, failedTiles}, where area is polygon area in ha,
+     * loss - hash of loss area (ha) by years from minYear to maxYear, total - loss in current years interval,
+     * tiles - number of used tiles, failedTiles - number of tiles failed to load (loss is incomplete, if it isn't 0)
+     */
+    getLossStatistics: function(geometry, options) {
+        options = L.extend({maxZoom: 12, maxTiles: 64}, options);
+
+        var def = $.Deferred(),
+            polygons,
+            yearBegin = this._yearBegin,
+            yearEnd = this._yearEnd,
+            loss = {},
+            area = 0;
+
+        try {
+            polygons = getPolygons(geometry);
+        } catch (e) {
+            return def.reject(e.message);
+        }
+
+        for (var year = this.options.minYear; year < this.options.maxYear; year++) {
+            loss[year] = 0;
+        }
+
+        var tiles = getAnalysisZoom(polygons, options.maxZoom, options.maxTiles),
+            zoom = tiles.zoom,
+            tileDefs = [];
+
+        for (var x = tiles.min.x; x <= tiles.max.x; x++) {
+            for (var y = tiles.min.y; y <= tiles.max.y; y++) {
+                tileDefs.push(this._addTileStatistics(polygons, L.point(x, y), zoom, function(pixelLat, code, intensity) {
+                    var pixelArea = L.GFWLayer.getPixelArea(pixelLat, zoom);
+                    area += pixelArea;
+                    if (code && (2000 + code) in loss) {
+                        loss[2000 + code] += pixelArea * intensity / 255;
+                    }
+                }));
+            }
+        }
+
+        $.when.apply($, tileDefs).then(function() {
+            var total = 0,
+                failedTiles = 0;
+            for (var year in loss) {
+                if (year >= yearBegin && year < yearEnd) {
+                    total += loss[year];
+                }
+            }
+            for (var i = 0; i < arguments.length; i++) {
+                arguments[i] || failedTiles++;
+            }
+            def.resolve({zoom: zoom, area: area, loss: loss, total: total, tiles: tileDefs.length, failedTiles: failedTiles});
+        });
+
+        return def.promise();
+    },
+
+    // Calls pixelCallback(lat, code, intensity) for every pixel of tile inside polygons.
+    // Resolved with false, if tile failed to load (its pixels have no loss)
+    _addTileStatistics: function(polygons, tilePoint, zoom, pixelCallback) {
+        var def = $.Deferred();
+
+        this.getRawTile(tilePoint, zoom, function(data) {
+            var mask = drawMask(polygons, tilePoint, zoom);
+
+            for (var j = 0; j < 256; j++) {
+                var lat = L.CRS.EPSG3857.pointToLatLng(L.point(0, tilePoint.y * 256 + j + 0.5), zoom).lat;
+                for (var i = 0; i < 256; i++) {
+                    var pixelPos = (j * 256 + i) * 4;
+                    if (mask[pixelPos + 3] > 127) {
+                        pixelCallback(lat, data ? data[pixelPos + 2] : 0, data ? data[pixelPos] : 0);
+                    }
+                }
+            }
+            def.resolve(!!data);
+        });
+
+        return def.promise();
+    }
+});
+
+// Area of tile pixel (ha) at given latitude and zoom
+L.GFWLayer.getPixelArea = function(lat, zoom) {
+    var pixelSize = EARTH_CIRCUMFERENCE / Math.pow(2, zoom + 8) * Math.cos(lat * Math.PI / 180);
+    return pixelSize * pixelSize / 10000;
+};
+
+})();
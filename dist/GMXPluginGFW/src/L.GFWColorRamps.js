@@ -0,0 +1,181 @@
+/** Color ramps for GFW loss pixels
+*/
+(function (){
+
+// Ramps are plain objects (no functions inside), so they can be stored in state and passed around freely.
+// colors - list of stops ('#rrggbb' or [r, g, b]) from the oldest/weakest loss to the most recent/strongest one
+L.GFWColorRamps = {
+    'default': {type: 'default'},
+    year: {type: 'year', colors: ['#ffff66', '#ffa500', '#ff0000', '#8b0000']},
+    intensity: {type: 'intensity', colors: ['#ffd0d0', '#ff0000', '#800000']}
+};
+
+L.GFWColorRamp = {
+    // ramp - name of one of L.GFWColorRamps or ramp object itself
+    get: function(ramp) {
+        if (typeof ramp === 'string') {
+            return L.GFWColorRamps[ramp] || L.GFWColorRamps['default'];
+        }
+        return ramp || L.GFWColorRamps['default'];
+    },
+
+    // Checks name or ramp object, e.g. restored from saved state. Palette ramp may have url only
+    isValid: function(ramp) {
+        var isColor = function(color) {
+            if (typeof color === 'string') {
+                return /^#[0-9a-f]{6}$/i.test(color);
+            }
+            return L.Util.isArray(color) && color.length === 3 && color.every(function(c) {
+                return typeof c === 'number' && c >= 0 && c <= 255;
+            });
+        };
+
+        if (typeof ramp === 'string') {
+            return L.GFWColorRamps.hasOwnProperty(ramp);
+        }
+        if (!ramp || typeof ramp !== 'object') {
+            return false;
+        }
+        if (ramp.type === 'default') {
+            return true;
+        }
+        if (ramp.type === 'palette') {
+            return typeof ramp.url === 'string' && (!ramp.colors || L.Util.isArray(ramp.colors) && ramp.colors.every(function(color) {
+                return color === null || isColor(color);
+            }));
+        }
+        return (ramp.type === 'year' || ramp.type === 'intensity') &&
+            L.Util.isArray(ramp.colors) && ramp.colors.length > 0 && ramp.colors.every(isColor);
+    },
+
+    // Loads ICXLEG palette (see shared.loadPaletteSync) and converts it to ramp.
+    // Palette codes are years of loss minus 2000 (the same as in blue channel of tiles)
+    fromPalette: function(url) {
+        return shared.loadPaletteSync(url).then(function(palette) {
+            var colors = [];
+            for (var code = 0; code < palette.length; code++) {
+                var c = palette[code];
+                colors[code] = c ? [c.partRed, c.partGreen, c.partBlue] : null;
+            }
+            return {type: 'palette', url: url, colors: colors};
+        });
+    },
+
+    // Recolors raw GFW tile pixels in place.
+    // Red channel of source tile is loss intensity, blue one is year of loss minus 2000.
+    // Function uses nothing from outer scope
+    colorize: function(data, ramp, yearBegin, yearEnd, z) {
+        var parseColor = function(color) {
+                if (!color || typeof color !== 'string') {
+                    return color;
+                }
+                var hex = parseInt(color.substr(1), 16);
+                return [hex >> 16 & 255, hex >> 8 & 255, hex & 255];
+            },
+            interpolate = function(stops, t) {
+                var pos = Math.max(0, Math.min(1, t)) * (stops.length - 1),
+                    i = Math.min(Math.floor(pos), stops.length - 2),
+                    f = pos - i;
+
+                if (stops.length === 1) {
+                    return stops[0];
+                }
+                return [
+                    stops[i][0] + f * (stops[i + 1][0] - stops[i][0]),
+                    stops[i][1] + f * (stops[i + 1][1] - stops[i][1]),
+                    stops[i][2] + f * (stops[i + 1][2] - stops[i][2])
+                ];
+            },
+            type = ramp.type,
+            stops = (ramp.colors || []).map(parseColor),
+            exp = z < 11 ? 0.3 + ((z - 3) / 20) : 1,
+            yearColors = [],
+            code;
+
+        if (type === 'year') {
+            for (code = yearBegin - 2000; code < yearEnd - 2000; code++) {
+                yearColors[code] = interpolate(stops, yearEnd - yearBegin > 1 ? (code + 2000 - yearBegin) / (yearEnd - yearBegin - 1) : 1);
+            }
+        } else if (type === 'palette') {
+            yearColors = stops;
+        }
+
+        for (var pixelPos = 0; pixelPos < data.length; pixelPos += 4) {
+            var yearLoss = 2000 + data[pixelPos + 2],
+                intensity = data[pixelPos],
+                scale = Math.pow(intensity/256, exp) * 256,
+                color;
+
+            if (yearLoss < yearBegin || yearLoss >= yearEnd) {
+                data[pixelPos + 3] = 0;
+                continue;
+            }
+
+            if (type === 'year' || type === 'palette') {
+                color = yearColors[yearLoss - 2000];
+                if (!color) {
+                    data[pixelPos + 3] = 0;
+                    continue;
+                }
+            } else if (type === 'intensity') {
+                color = interpolate(stops, intensity / 255);
+            } else {
+                color = [220, (72 - z) + 102 - (3 * scale / z), (33 - z) + 153 - ((intensity) / z)];
+            }
+
+            data[pixelPos] = color[0];
+            data[pixelPos + 1] = color[1];
+            data[pixelPos + 2] = color[2];
+            data[pixelPos + 3] = z < 13 ? scale : intensity;
+        }
+
+        return data;
+    },
+
+    // Returns list of {label, color} items, colors are obtained from colorize() applied to synthetic pixels
+    getLegend: function(ramp, yearBegin, yearEnd) {
+        ramp = L.GFWColorRamp.get(ramp);
+
+        var pixels = [],
+            labels = [],
+            legend = [],
+            year;
+
+        if (ramp.type === 'intensity') {
+            for (var percent = 0; percent <= 100; percent += 25) {
+                pixels.push([Math.max(1, Math.round(percent * 2.55)), yearBegin - 2000]);
+                labels.push(percent + '%');
+            }
+        } else if (ramp.type === 'default') {
+            pixels.push([255, yearBegin - 2000]);
+            labels.push(yearBegin + ' - ' + (yearEnd - 1));
+        } else {
+            for (year = yearBegin; year < yearEnd; year++) {
+                pixels.push([255, year - 2000]);
+                labels.push(year);
+            }
+        }
+
+        var data = new Uint8ClampedArray(pixels.length * 4);
+        pixels.forEach(function(pixel, i) {
+            data[i * 4] = pixel[0];
+            data[i * 4 + 2] = pixel[1];
+            data[i * 4 + 3] = 255;
+        });
+
+        L.GFWColorRamp.colorize(data, ramp, yearBegin, yearEnd, 13);
+
+        for (var i = 0; i < pixels.length; i++) {
+            if (data[i * 4 + 3]) {
+                legend.push({
+                    label: labels[i],
+                    color: 'rgb(' + data[i * 4] + ',' + data[i * 4 + 1] + ',' + data[i * 4 + 2] + ')'
+                });
+            }
+        }
+
+        return legend;
+    }
+};
+
+})();
@@ -0,0 +1,264 @@
+/** Export of GFW layers for current map view as georeferenced image in EPSG:3857:
+ * PNG with world file (.pgw) or GeoTIFF
+ * The plugin is loaded by gmxCore without the application, so it saves files by itself
+*/
+(function (){
+
+var HALF_WORLD = 20037508.342789244;  // m, half of EPSG:3857 world width
+
+var saveBlob = function(blob, fileName) {
+    if (navigator.msSaveBlob) {
+        navigator.msSaveBlob(blob, fileName);
+        return;
+    }
+
+    var url = URL.createObjectURL(blob),
+        link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function() {
+        URL.revokeObjectURL(url);
+    }, 0);
+};
+
+var canvasToBlob = function(canvas, callback) {
+    if (canvas.toBlob) {
+        canvas.toBlob(callback, 'image/png');
+        return;
+    }
+
+    var binary = atob(canvas.toDataURL('image/png').split(',')[1]),
+        bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    callback(new Blob([bytes], {type: 'image/png'}));
+};
+
+L.GFWExport = {
+    // Size of pixel (m) at given zoom
+    getResolution: function(zoom) {
+        return 2 * HALF_WORLD / Math.pow(2, zoom + 8);
+    },
+
+    // Coordinates (m) of upper left corner of pixel bounds
+    getOrigin: function(pixelBounds, zoom) {
+        var resolution = L.GFWExport.getResolution(zoom);
+        return L.point(pixelBounds.min.x * resolution - HALF_WORLD, HALF_WORLD - pixelBounds.min.y * resolution);
+    },
+
+    // ESRI world file. Its coordinates refer to the center of upper left pixel
+    toWorldFile: function(pixelBounds, zoom) {
+        var resolution = L.GFWExport.getResolution(zoom),
+            origin = L.GFWExport.getOrigin(pixelBounds, zoom);
+
+        return [resolution, 0, 0, -resolution, origin.x + resolution / 2, origin.y - resolution / 2].join('\r\n') + '\r\n';
+    },
+
+    // Uncompressed RGBA GeoTIFF with ModelPixelScale, ModelTiepoint and EPSG:3857 in GeoKeyDirectory
+    toGeoTIFF: function(canvas, pixelBounds, zoom) {
+        var width = canvas.width,
+            height = canvas.height,
+            pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data,
+            resolution = L.GFWExport.getResolution(zoom),
+            origin = L.GFWExport.getOrigin(pixelBounds, zoom),
+            geoKeys = [
+                1, 1, 0, 3,         // version, revision, number of keys
+                1024, 0, 1, 1,      // GTModelTypeGeoKey: projected
+                1025, 0, 1, 1,      // GTRasterTypeGeoKey: PixelIsArea
+                3072, 0, 1, 3857    // ProjectedCSTypeGeoKey
+            ],
+            tagsCount = 14,
+            ifdSize = 2 + tagsCount * 12 + 4,
+            // values, which don't fit into tag entries, are placed right after IFD
+            bitsOffset = 8 + ifdSize,
+            scaleOffset = bitsOffset + 8,
+            tiepointOffset = scaleOffset + 3 * 8,
+            geoKeysOffset = tiepointOffset + 6 * 8,
+            dataOffset = geoKeysOffset + geoKeys.length * 2,
+            buffer = new ArrayBuffer(dataOffset + pixels.length),
+            view = new DataView(buffer),
+            pos = 8;
+
+        var writeTag = function(tag, type, count, value) {
+            view.setUint16(pos, tag, true);
+            view.setUint16(pos + 2, type, true);
+            view.setUint32(pos + 4, count, true);
+            if (type === 3 && count === 1) {
+                view.setUint16(pos + 8, value, true);
+            } else {
+                view.setUint32(pos + 8, value, true);
+            }
+            pos += 12;
+        };
+        var SHORT = 3, LONG = 4, DOUBLE = 12;
+
+        view.setUint16(0, 0x4949);  // little endian
+        view.setUint16(2, 42, true);
+        view.setUint32(4, 8, true);
+
+        view.setUint16(pos, tagsCount, true);
+        pos += 2;
+        writeTag(256, LONG, 1, width);                  // ImageWidth
+        writeTag(257, LONG, 1, height);                 // ImageLength
+        writeTag(258, SHORT, 4, bitsOffset);            // BitsPerSample
+        writeTag(259, SHORT, 1, 1);                     // Compression: none
+        writeTag(262, SHORT, 1, 2);                     // PhotometricInterpretation: RGB
+        writeTag(273, LONG, 1, dataOffset);             // StripOffsets
+        writeTag(277, SHORT, 1, 4);                     // SamplesPerPixel
+        writeTag(278, LONG, 1, height);                 // RowsPerStrip
+        writeTag(279, LONG, 1, pixels.length);          // StripByteCounts
+        writeTag(284, SHORT, 1, 1);                     // PlanarConfiguration: chunky
+        writeTag(338, SHORT, 1, 2);                     // ExtraSamples: unassociated alpha
+        writeTag(33550, DOUBLE, 3, scaleOffset);        // ModelPixelScaleTag
+        writeTag(33922, DOUBLE, 6, tiepointOffset);     // ModelTiepointTag
+        writeTag(34735, SHORT, geoKeys.length, geoKeysOffset);  // GeoKeyDirectoryTag
+        view.setUint32(pos, 0, true);   // no more IFDs
+
+        [8, 8, 8, 8].forEach(function(bits, i) {
+            view.setUint16(bitsOffset + i * 2, bits, true);
+        });
+        [resolution, resolution, 0].forEach(function(value, i) {
+            view.setFloat64(scaleOffset + i * 8, value, true);
+        });
+        [0, 0, 0, origin.x, origin.y, 0].forEach(function(value, i) {
+            view.setFloat64(tiepointOffset + i * 8, value, true);
+        });
+        geoKeys.forEach(function(value, i) {
+            view.setUint16(geoKeysOffset + i * 2, value, true);
+        });
+        new Uint8Array(buffer, dataOffset).set(pixels);
+
+        return new Blob([buffer], {type: 'image/tiff'});
+    },
+
+    /** Downloads canvas as georeferenced image
+     * @param {HTMLCanvasElement} canvas
+     * @param {L.Bounds} pixelBounds Bounds of canvas in pixels of zoom
+     * @param {Number} zoom
+     * @param {String} format 'png' (with .pgw world file) or 'tiff' (GeoTIFF)
+     * @param {String} fileName File name without extension
+     * @return {jQuery.Deferred} Resolved after download is started
+     */
+    save: function(canvas, pixelBounds, zoom, format, fileName) {
+        var def = $.Deferred();
+
+        if (format === 'tiff') {
+            saveBlob(L.GFWExport.toGeoTIFF(canvas, pixelBounds, zoom), fileName + '.tif');
+            def.resolve();
+        } else {
+            canvasToBlob(canvas, function(blob) {
+                saveBlob(blob, fileName + '.png');
+                saveBlob(new Blob([L.GFWExport.toWorldFile(pixelBounds, zoom)], {type: 'text/plain'}), fileName + '.pgw');
+                def.resolve();
+            });
+        }
+
+        return def.promise();
+    }
+};
+
+L.GFWTileLayer.include({
+    /** Draws recolored tiles with current settings into one canvas
+     * @param {L.Bounds} pixelBounds Bounds of image in pixels of zoom
+     * @param {Number} zoom
+     * @return {jQuery.Deferred} Resolved with canvas
+     */
+    renderImage: function(pixelBounds, zoom) {
+        var size = pixelBounds.getSize(),
+            canvas = document.createElement('canvas'),
+            min = pixelBounds.min.divideBy(256).floor(),
+            max = pixelBounds.max.subtract([1, 1]).divideBy(256).floor(),
+            tilesCount = Math.pow(2, zoom),
+            tileDefs = [];
+
+        canvas.width = size.x;
+        canvas.height = size.y;
+
+        for (var x = min.x; x <= max.x; x++) {
+            for (var y = Math.max(min.y, 0); y <= Math.min(max.y, tilesCount - 1); y++) {
+                // world copies use the same tiles
+                var tilePoint = L.point((x % tilesCount + tilesCount) % tilesCount, y),
+                    offset = L.point(x * 256, y * 256).subtract(pixelBounds.min);
+                tileDefs.push(this._renderTile(canvas, tilePoint, zoom, offset));
+            }
+        }
+
+        return $.when.apply($, tileDefs).then(function() {
+            return canvas;
+        });
+    },
+
+    _renderTile: function(canvas, tilePoint, zoom, offset) {
+        var def = $.Deferred();
+
+        this.getRawTile(tilePoint, zoom, function(raw) {
+            if (!raw) {
+                def.resolve();
+                return;
+            }
+            this._colorize(raw, zoom, function(data) {
+                if (data) {
+                    var ctx = canvas.getContext('2d'),
+                        imgData = ctx.createImageData(256, 256);
+                    imgData.data.set(data);
+                    ctx.putImageData(imgData, offset.x, offset.y);
+                }
+                def.resolve();
+            });
+        }.bind(this));
+
+        return def.promise();
+    }
+});
+
+L.GFWLayerWithSlider.include({
+    /** Downloads visible sub-layers in current map view as one image
+     * @param {String} [format='png'] 'png' (with .pgw world file) or 'tiff' (GeoTIFF)
+     * @return {jQuery.Deferred} Resolved after download is started
+     */
+    exportImage: function(format) {
+        var map = this._map;
+        if (!map) {
+            return $.Deferred().reject('GFW export: layer is not added to map').promise();
+        }
+
+        var zoom = map.getZoom(),
+            pixelBounds = map.getPixelBounds(),
+            interval = this._layer.getYearInterval(),
+            fileName = 'gfw_' + interval.yearBegin + '-' + (interval.yearEnd - 1),
+            layers = this._getLayers().filter(function(item) {
+                return this._products[item.name];
+            }, this).map(function(item) {
+                return item.layer;
+            });
+
+        return $.when.apply($, layers.map(function(layer) {
+            return layer.renderImage(pixelBounds, zoom);
+        })).then(function() {
+            var size = pixelBounds.getSize(),
+                canvas = document.createElement('canvas'),
+                ctx = canvas.getContext('2d');
+
+            canvas.width = size.x;
+            canvas.height = size.y;
+            for (var i = 0; i < layers.length; i++) {
+                ctx.globalAlpha = layers[i].options.opacity;
+                ctx.drawImage(arguments[i], 0, 0);
+            }
+
+            return L.GFWExport.save(canvas, pixelBounds, zoom, format || 'png', fileName);
+        });
+    }
+});
+
+L.GFWLayerWithSlider.addInitHook(function() {
+    this._slider.on('export', function(event) {
+        this.exportImage(event.format);
+    }, this);
+});
+
+})();
@@ -0,0 +1,134 @@
+/** Year of loss inspector: shows decoded GFW pixel under mouse click in popup
+*/
+(function (){
+
+L.GFWLayer.include({
+    /** Decodes source pixel of GFW tile at given point.
+     * @param {L.LatLng} latlng
+     * @param {Number} zoom Zoom of tiles to read pixel from (not greater than options.maxDataZoom)
+     * @param {Function} callback Gets {year, intensity, pixelArea, area}, where year is year of loss or null,
+     * intensity - loss intensity (0 - 1), pixelArea - area of pixel (ha), area - approximate loss area inside pixel (ha)
+     */
+    getPixelInfo: function(latlng, zoom, callback) {
+        zoom = Math.min(zoom, this.options.maxDataZoom);
+
+        var point = L.CRS.EPSG3857.latLngToPoint(latlng, zoom).floor(),
+            tilePoint = point.divideBy(256).floor(),
+            pixel = point.subtract(tilePoint.multiplyBy(256)),
+            pixelArea = L.GFWLayer.getPixelArea(latlng.lat, zoom);
+
+        this.getRawTile(tilePoint, zoom, function(data) {
+            var pixelPos = (pixel.y * 256 + pixel.x) * 4,
+                code = data ? data[pixelPos + 2] : 0,
+                intensity = data && code ? data[pixelPos] / 255 : 0;
+
+            callback({
+                year: code ? 2000 + code : null,
+                intensity: intensity,
+                pixelArea: pixelArea,
+                area: pixelArea * intensity
+            });
+        });
+    }
+});
+
+L.GFWLayer.mergeOptions({
+    maxDataZoom: 12     // max zoom of GFW tiles
+});
+
+// Handler of map clicks for L.GFWLayer.
+// Clicks handled by other layers (popup opened by them) and clicks of drawing tools are ignored
+L.GFWInspector = L.Class.extend({
+    initialize: function(layer) {
+        this._layer = layer;
+        this._popup = L.popup({className: 'gfw-inspector-popup'});
+        this._clickId = 0;
+        this._handledClickId = 0;
+        this._drawing = false;
+    },
+
+    enable: function(map) {
+        this._map = map;
+        map.on('click', this._onClick, this);
+        map.on('popupopen', this._onPopupOpen, this);
+        map.gmxDrawing && map.gmxDrawing
+            .on('drawstart', this._onDrawStart, this)
+            .on('drawstop', this._onDrawStop, this);
+        return this;
+    },
+
+    disable: function() {
+        var map = this._map;
+        if (map) {
+            map.off('click', this._onClick, this);
+            map.off('popupopen', this._onPopupOpen, this);
+            map.gmxDrawing && map.gmxDrawing
+                .off('drawstart', this._onDrawStart, this)
+                .off('drawstop', this._onDrawStop, this);
+            this._map = null;
+        }
+        return this;
+    },
+
+    _onPopupOpen: function(event) {
+        if (event.popup !== this._popup) {
+            this._handledClickId = this._clickId;
+        }
+    },
+
+    _onDrawStart: function() {
+        this._drawing = true;
+    },
+
+    // the last click of drawing comes to map after drawstop
+    _onDrawStop: function() {
+        setTimeout(function() {
+            this._drawing = false;
+        }.bind(this), 0);
+    },
+
+    _onClick: function(event) {
+        var clickId = ++this._clickId;
+
+        if (this._drawing || (event.originalEvent && event.originalEvent.defaultPrevented)) {
+            return;
+        }
+
+        // other click handlers go first
+        setTimeout(function() {
+            if (this._map && this._handledClickId !== clickId) {
+                this._showPixelInfo(event.latlng);
+            }
+        }.bind(this), 0);
+    },
+
+    _showPixelInfo: function(latlng) {
+        var map = this._map,
+            layer = this._layer,
+            interval = layer.getYearInterval(),
+            clickId = this._clickId;
+
+        layer.getPixelInfo(latlng, map.getZoom(), function(info) {
+            var html;
+
+            if (!info.year) {
+                html = 'No tree cover loss';
+            } else {
+                html = '<b>Loss year: ' + info.year + '</b>' +
+                    (info.year < interval.yearBegin || info.year >= interval.yearEnd ? ' (outside of selected years)' : '') +
+                    '<br>Intensity: ' + Math.round(100 * info.intensity) + '%' +
+                    '<br>Area: ~' + info.area.toFixed(2) + ' ha of ' + info.pixelArea.toFixed(2) + ' ha pixel';
+            }
+
+            // inspector can be disabled or the next click can be made while tile is loading
+            if (this._map && this._clickId === clickId) {
+                this._popup
+                    .setLatLng(latlng)
+                    .setContent(html)
+                    .openOn(map);
+            }
+        }.bind(this));
+    }
+});
+
+})();
@@ -4,88 +4,528 @@
     
 var GFW_ATTRIBUTION = '<a href="http://glad.umd.edu/"> Hansen|UMD|Google|USGS|NASA </a>';
 
-L.GFWLayer = L.TileLayer.Canvas.extend({
+// Base class for layers of GFW products: loads source tiles pixels and draws them recolored.
+// Descendants define _colorize() and _getColorKey()
+L.GFWTileLayer = L.TileLayer.Canvas.extend({
     options: {
         async: true,
-        attribution: GFW_ATTRIBUTION
-    },
-    _yearBegin: 2001,
-    _yearEnd: 2015,
-    _drawLayer: function(img, ctx, z) {
-        var imgData = ctx.getImageData(0, 0, 256, 256),
-            data = imgData.data,
-            exp = z < 11 ? 0.3 + ((z - 3) / 20) : 1;
-            
-        for (var i = 0; i < 256; ++i) {
-            for (var j = 0; j < 256; ++j) {
-                var pixelPos = (j * 256 + i) * 4,
-                    yearLoss = 2000 + data[pixelPos + 2],
-                    intensity = data[pixelPos],
-                    scale = Math.pow(intensity/256, exp) * 256;
-
-                if (yearLoss >= this._yearBegin && yearLoss < this._yearEnd) {
-                    data[pixelPos] = 220;
-                    data[pixelPos + 1] = (72 - z) + 102 - (3 * scale / z);
-                    data[pixelPos + 2] = (33 - z) + 153 - ((intensity) / z);
-                    data[pixelPos + 3] = z < 13 ? scale : intensity;
-                } else {
-                    data[pixelPos + 3] = 0;
+        attribution: GFW_ATTRIBUTION,
+        tileUrl: '',            // {z}/{x}/{y} are taken from tile, other placeholders - from options
+        colorCacheSize: 128,    // number of recolored tiles to keep in memory
+        rawCacheSize: 64,       // number of source tiles to keep in memory, 256 KB each
+        persistentCache: false, // keep source tiles in IndexedDB between sessions
+        blendMode: 'normal'     // one of L.GFWLayer.BLEND_MODES
+    },
+    initialize: function(options) {
+        L.TileLayer.Canvas.prototype.initialize.call(this, options);
+        // recolored pixels by _getColorKey()
+        this._colorCache = new L.GFWTileCache({maxSize: this.options.colorCacheSize});
+        // source pixels by tile url
+        this._rawCache = new L.GFWTileCache({maxSize: this.options.rawCacheSize});
+        this._tileDB = this.options.persistentCache ? new L.GFWTileDB() : null;
+    },
+    onAdd: function(map) {
+        L.TileLayer.Canvas.prototype.onAdd.call(this, map);
+        this._updateBlendMode();
+    },
+    _updateBlendMode: function() {
+        if (this._container) {
+            this._container.style.mixBlendMode = this.options.blendMode;
+        }
+    },
+    // Blending of layer with layers under it (CSS mix-blend-mode), e.g. 'multiply' over satellite imagery
+    setBlendMode: function(mode) {
+        this.options.blendMode = mode;
+        this._updateBlendMode();
+        return this;
+    },
+    getBlendMode: function() {
+        return this.options.blendMode;
+    },
+    // callback(data) gets Uint8ClampedArray with pixels to draw or null. Source pixels shouldn't be changed
+    _colorize: function(rawData, z, callback) {
+        callback(new Uint8ClampedArray(rawData));
+    },
+    // Key of recolored tile in cache, should depend on all settings used by _colorize()
+    _getColorKey: function(canvas) {
+        return canvas._gfwUrl;
+    },
+    // Draws source pixels stored in canvas._gfwRaw with current settings
+    _drawLayer: function(canvas, callback) {
+        var key = this._getColorKey(canvas),
+            cache = this._colorCache,
+            put = function(data) {
+                if (data && canvas._gfwColorKey === key) {
+                    var ctx = canvas.getContext('2d'),
+                        imgData = ctx.createImageData(256, 256);
+                    imgData.data.set(data);
+                    ctx.putImageData(imgData, 0, 0);
                 }
+                callback && callback();
+            };
+
+        canvas._gfwColorKey = key;
+
+        if (cache.has(key)) {
+            put(cache.get(key));
+        } else {
+            this._colorize(canvas._gfwRaw, canvas._gfwZoom, function(data) {
+                data && cache.set(key, data);
+                put(data);
+            });
+        }
+    },
+    _redrawLayer: function() {
+        for (var key in this._tiles) {
+            var canvas = this._tiles[key];
+            if (canvas._gfwRaw) {
+                this._drawLayer(canvas);
             }
         }
-        
-        ctx.putImageData(imgData, 0, 0);
+    },
+    getTileUrl: function(tilePoint, zoom) {
+        return L.Util.template(this.options.tileUrl, L.extend({
+            z: zoom,
+            x: tilePoint.x,
+            y: tilePoint.y
+        }, this.options));
+    },
+    // Loads source pixels of tile from memory cache, IndexedDB or server.
+    // callback(data) gets Uint8ClampedArray or null if tile can't be loaded
+    _loadRawTile: function(url, callback) {
+        var rawCache = this._rawCache,
+            tileDB = this._tileDB,
+            raw = rawCache.get(url);
+
+        if (raw) {
+            callback(raw);
+            return;
+        }
+
+        var load = function() {
+            var img = new Image();
+            img.crossOrigin = "Anonymous";
+            img.onload = function() {
+                var canvas = document.createElement('canvas');
+                canvas.width = canvas.height = 256;
+                var ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0, 256, 256);
+
+                var data = ctx.getImageData(0, 0, 256, 256).data;
+                rawCache.set(url, data);
+                tileDB && tileDB.set(url, data);
+                callback(data);
+            };
+            img.onerror = function() {
+                callback(null);
+            };
+            img.src = url;
+        };
+
+        if (tileDB) {
+            tileDB.get(url, function(data) {
+                if (data) {
+                    rawCache.set(url, data);
+                    callback(data);
+                } else {
+                    load();
+                }
+            });
+        } else {
+            load();
+        }
     },
     drawTile: function(canvas, tilePoint, zoom) {
-        var img = new Image();
-        img.crossOrigin = "Anonymous";
-        img.onload = function() {
-            var ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0, 256, 256);
-            this._drawLayer(img, ctx, zoom);
-            this.tileDrawn(canvas);
-        }.bind(this);
-        
-        img.src = 'http://storage.googleapis.com/earthenginepartners-hansen/tiles/gfw2015/loss_tree_year_25/' + zoom + '/' + tilePoint.x + '/' + tilePoint.y + '.png';
+        var url = this.getTileUrl(tilePoint, zoom);
+
+        canvas._gfwUrl = url;
+        this._loadRawTile(url, function(data) {
+            if (canvas._gfwUrl !== url) {
+                return;
+            }
+            if (!data) {
+                this.tileDrawn(canvas);
+                return;
+            }
+            canvas._gfwZoom = zoom;
+            canvas._gfwRaw = data;
+            this._drawLayer(canvas, this.tileDrawn.bind(this, canvas));
+        }.bind(this));
+    },
+    getRawTile: function(tilePoint, zoom, callback) {
+        this._loadRawTile(this.getTileUrl(tilePoint, zoom), callback);
+        return this;
+    },
+    // source - hash of tileUrl and its placeholders, all fields are optional
+    setTileSource: function(source) {
+        L.setOptions(this, source);
+        this.redraw();
+        this.fire('tilesourcechange', {tileSource: this.getTileSource()});
+        return this;
+    },
+    getTileSource: function() {
+        return {tileUrl: this.options.tileUrl};
+    },
+    // list of {label, color} items
+    getLegend: function() {
+        return [];
+    }
+});
+
+// Tree cover loss. Source pixels of tile: red channel - loss intensity, blue one - year of loss minus 2000
+L.GFWLayer = L.GFWTileLayer.extend({
+    options: {
+        // {release} and {threshold} are taken from options, {z}/{x}/{y} - from tile
+        tileUrl: 'http://storage.googleapis.com/earthenginepartners-hansen/tiles/{release}/loss_tree_year_{threshold}/{z}/{x}/{y}.png',
+        release: 'gfw2015',
+        threshold: 25,      // canopy density, %
+        minYear: 2001,
+        maxYear: 2015,      // first year without loss data
+        colorRamp: 'default',   // name from L.GFWColorRamps or ramp object
+        useWorkers: true        // recolor tiles in L.GFWWorkerPool
+    },
+    initialize: function(options) {
+        L.GFWTileLayer.prototype.initialize.call(this, options);
+        this._yearBegin = this.options.minYear;
+        this._yearEnd = this.options.maxYear;
+        this._colorRamp = L.GFWColorRamp.get(this.options.colorRamp);
+        this._colorRampId = 0;
+    },
+    _colorize: function(rawData, z, callback) {
+        var params = {
+            colorRamp: this._colorRamp,
+            yearBegin: this._yearBegin,
+            yearEnd: this._yearEnd,
+            z: z
+        };
+
+        if (this.options.useWorkers) {
+            L.GFWWorkerPool.getDefault().colorize(rawData, params, callback);
+        } else {
+            callback(L.GFWColorRamp.colorize(new Uint8ClampedArray(rawData), params.colorRamp, params.yearBegin, params.yearEnd, z));
+        }
+    },
+    _getColorKey: function(canvas) {
+        return [canvas._gfwUrl, this._yearBegin, this._yearEnd, this._colorRampId].join('|');
     },
     setYearInterval: function(yearBegin, yearEnd) {
         this._yearBegin = yearBegin;
         this._yearEnd = yearEnd;
-        this.redraw();
+        this._redrawLayer();
+    },
+    getYearInterval: function() {
+        return {yearBegin: this._yearBegin, yearEnd: this._yearEnd};
+    },
+    setThreshold: function(threshold) {
+        return this.setTileSource({threshold: threshold});
+    },
+    // {release, threshold} - tile source settings kept in slider state. tileUrl isn't included, it is set by layer options
+    getTileSource: function() {
+        return {
+            release: this.options.release,
+            threshold: this.options.threshold
+        };
+    },
+    // ramp - name from L.GFWColorRamps, ramp object or {type: 'palette', url: <ICXLEG palette url>}
+    setColorRamp: function(ramp) {
+        ramp = L.GFWColorRamp.get(ramp);
+        if (ramp.type === 'palette' && !ramp.colors) {
+            L.GFWColorRamp.fromPalette(ramp.url).then(this.setColorRamp.bind(this));
+            return this;
+        }
+        this._colorRamp = ramp;
+        this._colorRampId++;
+        this._redrawLayer();
+        this.fire('colorrampchange', {colorRamp: ramp});
+        return this;
+    },
+    getColorRamp: function() {
+        return this._colorRamp;
+    },
+    getLegend: function() {
+        return L.GFWColorRamp.getLegend(this._colorRamp, this._yearBegin, this._yearEnd);
     }
 });
 
-//Helper layer with integrated slider control
+L.GFWLayer.BLEND_MODES = ['normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-burn',
+    'hard-light', 'soft-light', 'difference', 'luminosity'];
+
+//Helper layer with integrated slider control.
+//Besides tree cover loss it can show tree cover 2000 and gain sub-layers (see L.GFWProducts.js)
 L.GFWLayerWithSlider = L.Class.extend({
-    initialize: function() {
-        var layer = this._layer = new L.GFWLayer();
-        this._slider = new L.GFWSlider({position: 'bottomright'});
+    // options.tileUrl, options.release, options.threshold - tiles source (see L.GFWLayer)
+    // options.minYear, options.maxYear - years range of layer and slider
+    // options.colorRamp - see L.GFWLayer.setColorRamp
+    // options.persistentCache - keep source tiles in IndexedDB
+    // options.rawCacheSize - number of source tiles to keep in memory (see L.GFWTileLayer)
+    // options.opacity, options.blendMode - see L.GFWLayer.setOpacity/setBlendMode
+    // options.inspector - show year of loss popup on map click (see L.GFWInspector), off by default
+    // options.products - visibility of sub-layers: {loss, canopy, gain}
+    // options.canopyThreshold - canopy density of tree cover 2000 sub-layer (see L.GFWCanopyLayer)
+    initialize: function(options) {
+        options = L.setOptions(this, options);
+
+        var layerOptions = {
+            persistentCache: options.persistentCache,
+            rawCacheSize: options.rawCacheSize,
+            opacity: options.opacity,
+            blendMode: options.blendMode
+        };
+        var layer = this._layer = new L.GFWLayer(L.extend({
+            tileUrl: options.tileUrl,
+            release: options.release,
+            threshold: options.threshold,
+            minYear: options.minYear,
+            maxYear: options.maxYear
+        }, layerOptions));
+        var canopyLayer = this._canopyLayer = new L.GFWCanopyLayer(L.extend({
+            canopyThreshold: options.canopyThreshold
+        }, layerOptions));
+        this._gainLayer = new L.GFWGainLayer(layerOptions);
+        this._products = L.extend({}, L.GFWLayerWithSlider.prototype.options.products, options.products);
+
+        var slider = this._slider = new L.GFWSlider({
+            position: 'bottomright',
+            minYear: options.minYear,
+            maxYear: options.maxYear
+        });
         
-        this._slider.on('yearschange', function(data) {
+        slider.on('yearschange', function(data) {
             layer.setYearInterval(data.yearBegin, data.yearEnd);
-        })
+            this._updateLegend();
+        }, this);
+
+        // settings restored from saved state or changed in slider popover
+        slider.on('settingschange', function(settings) {
+            if ('opacity' in settings) {
+                this.setOpacity(settings.opacity);
+            }
+            if ('blendMode' in settings) {
+                this.setBlendMode(settings.blendMode);
+            }
+            if ('colorRamp' in settings) {
+                layer.setColorRamp(settings.colorRamp);
+            }
+            if ('tileSource' in settings) {
+                layer.setTileSource(settings.tileSource);
+            }
+            if ('canopyThreshold' in settings) {
+                canopyLayer.setCanopyThreshold(settings.canopyThreshold);
+            }
+            for (var product in settings.products) {
+                this.setProductVisibility(product, settings.products[product]);
+            }
+            if ('inspector' in settings) {
+                this.setInspector(settings.inspector);
+            }
+        }, this);
+
+        slider.on('zorderchange', function(event) {
+            event.position === 'front' ? this.bringToFront() : this.bringToBack();
+        }, this);
+
+        layer.on('colorrampchange', function(event) {
+            this._updateLegend();
+            slider.setSettings({colorRamp: event.colorRamp});
+        }, this);
+
+        layer.on('tilesourcechange', function(event) {
+            slider.setSettings({tileSource: event.tileSource});
+        });
+
+        canopyLayer.on('legendchange', function() {
+            this._updateLegend();
+            slider.setSettings({canopyThreshold: canopyLayer.getCanopyThreshold()});
+        }, this);
+
+        slider.setSettings({
+            opacity: layer.options.opacity,
+            blendMode: layer.options.blendMode,
+            tileSource: layer.getTileSource(),
+            products: this.getProducts(),
+            canopyThreshold: canopyLayer.getCanopyThreshold(),
+            inspector: !!options.inspector
+        });
+
+        layer.setColorRamp(options.colorRamp);
+    },
+    
+    // Sub-layers from bottom to top
+    _getLayers: function() {
+        return [
+            {name: 'canopy', layer: this._canopyLayer},
+            {name: 'gain', layer: this._gainLayer},
+            {name: 'loss', layer: this._layer}
+        ];
+    },
+    
+    _updateLegend: function() {
+        var legend = [];
+        this._getLayers().reverse().forEach(function(item) {
+            if (this._products[item.name]) {
+                legend = legend.concat(item.layer.getLegend());
+            }
+        }, this);
+        this._slider.setLegend(legend);
     },
     
     onAdd: function(map) {
-        map.addLayer(this._layer);
+        this._map = map;
+        this._getLayers().forEach(function(item) {
+            this._products[item.name] && map.addLayer(item.layer);
+        }, this);
         map.addControl(this._slider);
+        this._updateInspector();
+    },
+    
+    _updateInspector: function() {
+        var enabled = this.options.inspector && this._map && L.GFWInspector;
+        if (enabled && !this._inspector) {
+            this._inspector = new L.GFWInspector(this._layer).enable(this._map);
+        } else if (!enabled && this._inspector) {
+            this._inspector.disable();
+            this._inspector = null;
+        }
     },
     
     onRemove: function(map) {
-        map.removeLayer(this._layer);
+        this._getLayers().forEach(function(item) {
+            map.hasLayer(item.layer) && map.removeLayer(item.layer);
+        });
         map.removeControl(this._slider);
+        this._map = null;
+        this._updateInspector();
+    },
+    
+    /** Turns on or off year of loss popup on map click (see L.GFWInspector)
+     * @param {Boolean} enabled
+     */
+    setInspector: function(enabled) {
+        this.options.inspector = !!enabled;
+        this._updateInspector();
+        this._slider.setSettings({inspector: this.options.inspector});
+        return this;
     },
     
-    setZIndex: function() {
-        return this._layer.setZIndex.apply(this._layer, arguments);
+    isInspectorEnabled: function() {
+        return !!this.options.inspector;
+    },
+    
+    /** Shows or hides sub-layer
+     * @param {String} product 'loss', 'canopy' or 'gain'
+     * @param {Boolean} visible
+     */
+    setProductVisibility: function(product, visible) {
+        if (!(product in this._products)) {
+            return this;
+        }
+        
+        var layer = this.getProductLayer(product);
+        
+        this._products[product] = !!visible;
+        if (this._map) {
+            if (visible && !this._map.hasLayer(layer)) {
+                this._map.addLayer(layer);
+                // keep sub-layers order
+                this._getLayers().forEach(function(item) {
+                    this._map.hasLayer(item.layer) && item.layer.bringToFront();
+                }, this);
+            } else if (!visible && this._map.hasLayer(layer)) {
+                this._map.removeLayer(layer);
+            }
+        }
+        this._updateLegend();
+        this._slider.setSettings({products: this.getProducts()});
+        return this;
+    },
+    
+    getProducts: function() {
+        return L.extend({}, this._products);
+    },
+    
+    getProductLayer: function(product) {
+        return {loss: this._layer, canopy: this._canopyLayer, gain: this._gainLayer}[product];
+    },
+    
+    setCanopyThreshold: function(threshold) {
+        this._canopyLayer.setCanopyThreshold(threshold);
+        return this;
+    },
+    
+    setZIndex: function(zIndex) {
+        this._getLayers().forEach(function(item) {
+            item.layer.setZIndex(zIndex);
+        });
+        return this;
+    },
+    
+    bringToFront: function() {
+        this._getLayers().forEach(function(item) {
+            item.layer.bringToFront();
+        });
+        return this;
+    },
+    
+    bringToBack: function() {
+        this._getLayers().reverse().forEach(function(item) {
+            item.layer.bringToBack();
+        });
+        return this;
+    },
+    
+    setOpacity: function(opacity) {
+        this._getLayers().forEach(function(item) {
+            item.layer.setOpacity(opacity);
+        });
+        this._slider.setSettings({opacity: opacity});
+        return this;
+    },
+    
+    getOpacity: function() {
+        return this._layer.options.opacity;
+    },
+    
+    // mode - one of L.GFWLayer.BLEND_MODES
+    setBlendMode: function(mode) {
+        this._getLayers().forEach(function(item) {
+            item.layer.setBlendMode(mode);
+        });
+        this._slider.setSettings({blendMode: mode});
+        return this;
+    },
+    
+    getBlendMode: function() {
+        return this._layer.getBlendMode();
     },
     
     getSlider: function() {
         return this._slider;
     },
     
+    getLayer: function() {
+        return this._layer;
+    },
+    
+    setColorRamp: function(ramp) {
+        this._layer.setColorRamp(ramp);
+        return this;
+    },
+    
     options: {
-        attribution: GFW_ATTRIBUTION
+        attribution: GFW_ATTRIBUTION,
+        tileUrl: L.GFWLayer.prototype.options.tileUrl,
+        release: L.GFWLayer.prototype.options.release,
+        threshold: L.GFWLayer.prototype.options.threshold,
+        minYear: L.GFWLayer.prototype.options.minYear,
+        maxYear: L.GFWLayer.prototype.options.maxYear,
+        colorRamp: L.GFWLayer.prototype.options.colorRamp,
+        persistentCache: L.GFWLayer.prototype.options.persistentCache,
+        rawCacheSize: L.GFWLayer.prototype.options.rawCacheSize,
+        opacity: L.GFWLayer.prototype.options.opacity,
+        blendMode: L.GFWLayer.prototype.options.blendMode,
+        inspector: false,
+        products: {loss: true, canopy: false, gain: false},
+        canopyThreshold: 30
     }
 })
 
@@ -0,0 +1,78 @@
+/** Additional Hansen|UMD forest products, which can be shown under tree cover loss:
+ * tree canopy density in year 2000 and forest gain 2000-2012
+*/
+(function (){
+
+var HANSEN_URL = 'http://earthengine.google.org/static/hansen_2013/';
+
+var toCSSColor = function(color) {
+    return 'rgb(' + color.join(',') + ')';
+};
+
+// Tree canopy density in year 2000. Alpha channel of source pixel - canopy density (0 - 255 for 0 - 100%)
+L.GFWCanopyLayer = L.GFWTileLayer.extend({
+    options: {
+        tileUrl: HANSEN_URL + 'tree_alpha/{z}/{x}/{y}.png',
+        canopyThreshold: 30,    // canopy density to show pixels above, %
+        color: [34, 139, 34]
+    },
+    _colorize: function(rawData, z, callback) {
+        var data = new Uint8ClampedArray(rawData.length),
+            color = this.options.color,
+            minDensity = this.options.canopyThreshold * 255 / 100;
+
+        for (var pixelPos = 0; pixelPos < data.length; pixelPos += 4) {
+            var density = rawData[pixelPos + 3];
+            if (density > minDensity) {
+                data[pixelPos] = color[0];
+                data[pixelPos + 1] = color[1];
+                data[pixelPos + 2] = color[2];
+                data[pixelPos + 3] = density;
+            }
+        }
+        callback(data);
+    },
+    _getColorKey: function(canvas) {
+        return canvas._gfwUrl + '|' + this.options.canopyThreshold;
+    },
+    // threshold - canopy density, %
+    setCanopyThreshold: function(threshold) {
+        this.options.canopyThreshold = threshold;
+        this._redrawLayer();
+        this.fire('legendchange');
+        return this;
+    },
+    getCanopyThreshold: function() {
+        return this.options.canopyThreshold;
+    },
+    getLegend: function() {
+        return [{label: 'Tree cover 2000 >' + this.options.canopyThreshold + '%', color: toCSSColor(this.options.color)}];
+    }
+});
+
+// Forest gain 2000-2012. Pixel with non-zero alpha channel - gain
+L.GFWGainLayer = L.GFWTileLayer.extend({
+    options: {
+        tileUrl: HANSEN_URL + 'gain_alpha/{z}/{x}/{y}.png',
+        color: [51, 102, 255]
+    },
+    _colorize: function(rawData, z, callback) {
+        var data = new Uint8ClampedArray(rawData.length),
+            color = this.options.color;
+
+        for (var pixelPos = 0; pixelPos < data.length; pixelPos += 4) {
+            if (rawData[pixelPos + 3]) {
+                data[pixelPos] = color[0];
+                data[pixelPos + 1] = color[1];
+                data[pixelPos + 2] = color[2];
+                data[pixelPos + 3] = 255;
+            }
+        }
+        callback(data);
+    },
+    getLegend: function() {
+        return [{label: 'Gain 2000-2012', color: toCSSColor(this.options.color)}];
+    }
+});
+
+})();
@@ -0,0 +1,173 @@
+/** Range slider with two handles. Supports mouse, touch, keyboard and ARIA attributes.
+ * Doesn't require any library except Leaflet.
+ *
+ * Events:
+ *   slide {values} - handle is being dragged
+ *   change {values} - values are changed by user or by setValues()
+*/
+(function (){
+
+// L.DomEvent of Leaflet 0.7 doesn't accept several space-separated event types
+var on = function(el, types, fn, context) {
+        types.split(' ').forEach(function(type) {
+            L.DomEvent.on(el, type, fn, context);
+        });
+    },
+    off = function(el, types, fn, context) {
+        types.split(' ').forEach(function(type) {
+            L.DomEvent.off(el, type, fn, context);
+        });
+    };
+
+L.GFWRangeSlider = L.Class.extend({
+    includes: L.Mixin.Events,
+
+    options: {
+        min: 0,
+        max: 100,
+        step: 1,
+        values: null,   // [min, max] by default
+        labels: ['Begin', 'End']    // aria-label of handles
+    },
+
+    initialize: function(container, options) {
+        L.setOptions(this, options);
+        this._values = (this.options.values || [this.options.min, this.options.max]).slice();
+        this._container = container;
+        this._render();
+        this._update();
+    },
+
+    getValues: function() {
+        return this._values.slice();
+    },
+
+    setValues: function(values) {
+        this._values = [
+            this._clamp(values[0], this.options.min, values[1]),
+            this._clamp(values[1], values[0], this.options.max)
+        ];
+        this._update();
+        this.fire('change', {values: this.getValues()});
+        return this;
+    },
+
+    _render: function() {
+        var container = this._container;
+
+        L.DomUtil.addClass(container, 'gfw-range-slider');
+        this._selection = L.DomUtil.create('div', 'gfw-range-selection', container);
+        this._handles = this.options.labels.map(function(label, index) {
+            var handle = L.DomUtil.create('div', 'gfw-range-handle', container);
+            handle.setAttribute('role', 'slider');
+            handle.setAttribute('tabindex', 0);
+            handle.setAttribute('aria-label', label);
+            handle.setAttribute('aria-valuemin', this.options.min);
+            handle.setAttribute('aria-valuemax', this.options.max);
+
+            on(handle, 'mousedown touchstart', this._onDragStart.bind(this, index));
+            on(handle, 'keydown', this._onKeyDown.bind(this, index));
+            return handle;
+        }, this);
+
+        on(container, 'mousedown touchstart', this._onTrackClick, this);
+    },
+
+    _update: function() {
+        var values = this._values,
+            positions = values.map(this._valueToPercent, this);
+
+        this._selection.style.left = positions[0] + '%';
+        this._selection.style.width = (positions[1] - positions[0]) + '%';
+        this._handles.forEach(function(handle, index) {
+            handle.style.left = positions[index] + '%';
+            handle.setAttribute('aria-valuenow', values[index]);
+        });
+    },
+
+    _valueToPercent: function(value) {
+        return 100 * (value - this.options.min) / (this.options.max - this.options.min);
+    },
+
+    _clamp: function(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    },
+
+    _eventToValue: function(e) {
+        var rect = this._container.getBoundingClientRect(),
+            clientX = e.touches ? e.touches[0].clientX : e.clientX,
+            options = this.options,
+            ratio = this._clamp((clientX - rect.left) / rect.width, 0, 1);
+
+        return options.min + Math.round(ratio * (options.max - options.min) / options.step) * options.step;
+    },
+
+    _moveHandle: function(index, value) {
+        var values = this._values;
+        value = index === 0 ? this._clamp(value, this.options.min, values[1]) : this._clamp(value, values[0], this.options.max);
+        if (value === values[index]) {
+            return false;
+        }
+        values[index] = value;
+        this._update();
+        return true;
+    },
+
+    _onDragStart: function(index, e) {
+        L.DomEvent.stop(e);
+        this._handles[index].focus();
+
+        var moved = false,
+            onMove = function(e) {
+                L.DomEvent.preventDefault(e);
+                if (this._moveHandle(index, this._eventToValue(e))) {
+                    moved = true;
+                    this.fire('slide', {values: this.getValues()});
+                }
+            }.bind(this),
+            onEnd = function() {
+                off(document, 'mousemove touchmove', onMove);
+                off(document, 'mouseup touchend touchcancel', onEnd);
+                moved && this.fire('change', {values: this.getValues()});
+            }.bind(this);
+
+        on(document, 'mousemove touchmove', onMove);
+        on(document, 'mouseup touchend touchcancel', onEnd);
+    },
+
+    // moves the nearest handle to click position
+    _onTrackClick: function(e) {
+        var value = this._eventToValue(e),
+            values = this._values,
+            index = Math.abs(value - values[0]) <= Math.abs(value - values[1]) && value <= values[1] ? 0 : 1;
+
+        L.DomEvent.stop(e);
+        if (this._moveHandle(index, value)) {
+            this.fire('change', {values: this.getValues()});
+        }
+        this._onDragStart(index, e);
+    },
+
+    _onKeyDown: function(index, e) {
+        var options = this.options,
+            value = this._values[index],
+            bigStep = Math.max(options.step, Math.round((options.max - options.min) / 10));
+
+        switch (e.keyCode) {
+            case 37: case 40: value -= options.step; break;     // left, down
+            case 39: case 38: value += options.step; break;     // right, up
+            case 34: value -= bigStep; break;                   // page down
+            case 33: value += bigStep; break;                   // page up
+            case 36: value = options.min; break;                // home
+            case 35: value = options.max; break;                // end
+            default: return;
+        }
+
+        L.DomEvent.preventDefault(e);
+        if (this._moveHandle(index, value)) {
+            this.fire('change', {values: this.getValues()});
+        }
+    }
+});
+
+})();
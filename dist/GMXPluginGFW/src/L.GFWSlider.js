@@ -1,69 +1,499 @@
 /** Leaflet control for years interval selection
- * Requires jQuery and Handlebars
+ * Requires jQuery and L.GFWRangeSlider
+ *
+ * Slider also keeps layer settings to save them in state:
+ * opacity, blendMode, colorRamp, tileSource ({release, threshold}), products ({loss, canopy, gain} visibility), canopyThreshold.
+ * "inspector" setting (pixel info on map click) is changed in settings popover too, but it isn't saved in state
+ * Settings restored by loadState() or changed in settings popover are passed to the layer by "settingschange" event.
+ * "zorderchange" event ({position: 'front'|'back'}) and "export" event ({format: 'png'|'tiff'})
+ * are fired by buttons of settings popover
 */
+(function (){
+
+var STATE_VERSION = '2.2.0',
+    THRESHOLDS = [10, 15, 20, 25, 30, 50, 75],
+    PLAYBACK_MODES = ['cumulative', 'single'],
+    PRODUCTS = {loss: 'loss', canopy: 'tree cover 2000', gain: 'gain'};
+
 L.GFWSlider = L.Control.extend({
     includes: L.Mixin.Events,
-    _yearBegin: 2001,
-    _yearEnd: 2015,
+    options: {
+        minYear: 2001,
+        maxYear: 2015,  // first year without loss data
+        playback: {
+            speed: 1000,        // ms per year
+            mode: 'cumulative', // 'cumulative' (from minYear to current year) or 'single' (current year only)
+            loop: false
+        }
+    },
+    initialize: function(options) {
+        L.setOptions(this, options);
+        this._yearBegin = this.options.minYear;
+        this._yearEnd = this.options.maxYear;
+        this._playback = L.extend({}, L.GFWSlider.prototype.options.playback, this.options.playback);
+        this._playTimer = null;
+        this._settings = {};
+    },
     _setYears: function(yearBegin, yearEnd) {
         this._yearBegin = yearBegin;
         this._yearEnd = yearEnd;
         this.fire('yearschange', {yearBegin: this._yearBegin, yearEnd: this._yearEnd});
     },
     onAdd: function(map) {
-        var template = Handlebars.compile(
+        var ui = this._ui = $(
             '<div class = "gfw-slider">' + 
                 '<div class = "gfw-slider-container"></div>' +
-                '<div class = "gfw-slider-labels">' +
-                    '{{#labels}}' +
-                        '<div class = "gfw-label-item">{{.}}</div>' +
-                    '{{/labels}}' +
+                '<div class = "gfw-slider-labels"></div>' +
+                '<div class = "gfw-slider-legend"></div>' +
+                '<div class = "gfw-slider-products"></div>' +
+                '<div class = "gfw-slider-playback">' +
+                    '<span class = "gfw-playback-button gfw-playback-prev" role = "button" tabindex = "0" title = "Previous year">&#9664;&#9646;</span>' +
+                    '<span class = "gfw-playback-button gfw-playback-play" role = "button" tabindex = "0" title = "Play/pause">&#9654;</span>' +
+                    '<span class = "gfw-playback-button gfw-playback-next" role = "button" tabindex = "0" title = "Next year">&#9646;&#9654;</span>' +
+                    '<select class = "gfw-playback-speed" title = "Speed"></select>' +
+                    '<select class = "gfw-playback-mode" title = "Mode">' +
+                        '<option value = "cumulative">cumulative</option>' +
+                        '<option value = "single">single year</option>' +
+                    '</select>' +
+                    '<label><input type = "checkbox" class = "gfw-playback-loop">loop</label>' +
+                    '<span class = "gfw-playback-button gfw-settings-toggle" role = "button" tabindex = "0" title = "Layer settings">&#9881;</span>' +
+                '</div>' +
+                '<div class = "gfw-slider-settings">' +
+                    '<label>opacity <input type = "range" class = "gfw-settings-opacity" min = "0" max = "100"></label>' +
+                    '<label>blending <select class = "gfw-settings-blend"></select></label>' +
+                    '<label><input type = "checkbox" class = "gfw-settings-inspector">pixel info on click</label>' +
+                    '<span class = "gfw-playback-button gfw-settings-front" role = "button" tabindex = "0">to front</span>' +
+                    '<span class = "gfw-playback-button gfw-settings-back" role = "button" tabindex = "0">to back</span>' +
+                    '<div class = "gfw-settings-export">export ' +
+                        '<span class = "gfw-playback-button" role = "button" tabindex = "0" data-format = "png" title = "PNG with world file">PNG</span>' +
+                        '<span class = "gfw-playback-button" role = "button" tabindex = "0" data-format = "tiff">GeoTIFF</span>' +
+                    '</div>' +
                 '</div>' +
             '</div>'
         );
         
-        var labels = [];
-        for (var year = 2001; year <= 2014; year++) {
-            labels.push(year);
+        for (var year = this.options.minYear; year < this.options.maxYear; year++) {
+            $('<div class = "gfw-label-item"></div>').text(year).appendTo(ui.find('.gfw-slider-labels'));
+        }
+        
+        [250, 500, 1000, 2000].forEach(function(speed) {
+            $('<option></option>').val(speed).text(speed + ' ms').appendTo(ui.find('.gfw-playback-speed'));
+        });
+        
+        for (var product in PRODUCTS) {
+            $('<label><input type = "checkbox" class = "gfw-products-item"></label>')
+                .append(document.createTextNode(PRODUCTS[product]))
+                .appendTo(ui.find('.gfw-slider-products'))
+                .find('input').attr('data-product', product);
         }
         
-        var ui = this._ui = $(template({
-            labels: labels
-        }));
+        var canopyThreshold = $('<select class = "gfw-products-canopy-threshold" title = "Canopy density"></select>')
+            .insertAfter(ui.find('.gfw-products-item[data-product="canopy"]').parent());
+        THRESHOLDS.forEach(function(threshold) {
+            $('<option></option>').val(threshold).text('>' + threshold + '%').appendTo(canopyThreshold);
+        });
+        
+        L.GFWLayer.BLEND_MODES.forEach(function(mode) {
+            $('<option></option>').val(mode).text(mode).appendTo(ui.find('.gfw-settings-blend'));
+        });
         
-        ui.find('.gfw-slider-container').slider({
-            min: 2001,
-            max: 2015,
+        this._rangeSlider = new L.GFWRangeSlider(ui.find('.gfw-slider-container')[0], {
+            min: this.options.minYear,
+            max: this.options.maxYear,
             values: [this._yearBegin, this._yearEnd],
-            range: true,
-            change: function(event, ui) {
-                this._setYears(ui.values[0], ui.values[1]);
-            }.bind(this)
+            labels: ['First year', 'Year after the last one']
+        }).on('change', function(event) {
+            this._setYears(event.values[0], event.values[1]);
+        }, this);
+        
+        L.DomEvent.disableClickPropagation(ui[0]);
+        
+        ui.find('.gfw-playback-prev').click(this.step.bind(this, -1));
+        ui.find('.gfw-playback-next').click(this.step.bind(this, 1));
+        ui.find('.gfw-playback-play').click(function() {
+            this.isPlaying() ? this.pause() : this.play();
+        }.bind(this));
+        ui.find('.gfw-playback-button').keydown(function(event) {
+            // enter, space
+            if (event.keyCode === 13 || event.keyCode === 32) {
+                event.preventDefault();
+                $(this).click();
+            }
         });
+        ui.find('.gfw-playback-speed, .gfw-playback-mode, .gfw-playback-loop').change(function() {
+            this.setPlaybackOptions({
+                speed: Number(ui.find('.gfw-playback-speed').val()),
+                mode: ui.find('.gfw-playback-mode').val(),
+                loop: ui.find('.gfw-playback-loop').prop('checked')
+            });
+        }.bind(this));
         
-        ui.on('mousedown', function(event) {
-            event.stopPropagation();
+        ui.find('.gfw-settings-toggle').click(function() {
+            ui.toggleClass('gfw-slider-settings-opened');
         });
+        ui.find('.gfw-settings-opacity').on('input change', function() {
+            this._changeSettings({opacity: ui.find('.gfw-settings-opacity').val() / 100});
+        }.bind(this));
+        ui.find('.gfw-settings-blend').change(function() {
+            this._changeSettings({blendMode: ui.find('.gfw-settings-blend').val()});
+        }.bind(this));
+        ui.find('.gfw-products-item').change(function() {
+            var products = {};
+            ui.find('.gfw-products-item').each(function() {
+                products[$(this).attr('data-product')] = this.checked;
+            });
+            this._changeSettings({products: products});
+        }.bind(this));
+        ui.find('.gfw-settings-inspector').change(function() {
+            this._changeSettings({inspector: ui.find('.gfw-settings-inspector').prop('checked')});
+        }.bind(this));
+        canopyThreshold.change(function() {
+            this._changeSettings({canopyThreshold: Number(canopyThreshold.val())});
+        }.bind(this));
+        ui.find('.gfw-settings-front').click(this.fire.bind(this, 'zorderchange', {position: 'front'}));
+        ui.find('.gfw-settings-back').click(this.fire.bind(this, 'zorderchange', {position: 'back'}));
+        ui.find('.gfw-settings-export .gfw-playback-button').click(function(event) {
+            this.fire('export', {format: $(event.currentTarget).attr('data-format')});
+        }.bind(this));
+        
+        this._renderLegend();
+        this._renderPlayback();
+        this._renderSettings();
         
         return ui[0];
     },
     
+    _renderLegend: function() {
+        if (!this._ui) {
+            return;
+        }
+        
+        var container = this._ui.find('.gfw-slider-legend').empty();
+        
+        (this._legend || []).forEach(function(item) {
+            $('<span class = "gfw-legend-item"><span class = "gfw-legend-color"></span></span>')
+                .append(document.createTextNode(item.label))
+                .appendTo(container)
+                .find('.gfw-legend-color').css('background-color', item.color);
+        });
+    },
+    
+    // legend - list of {label, color} items (see L.GFWColorRamp.getLegend)
+    setLegend: function(legend) {
+        this._legend = legend;
+        this._renderLegend();
+        return this;
+    },
+    
+    _updateYears: function(yearBegin, yearEnd) {
+        if (this._rangeSlider) {
+            this._rangeSlider.setValues([yearBegin, yearEnd]);
+        } else {
+            this._setYears(yearBegin, yearEnd);
+        }
+    },
+    
+    _renderPlayback: function() {
+        if (!this._ui) {
+            return;
+        }
+        
+        var speed = this._ui.find('.gfw-playback-speed');
+        if (!speed.find('option[value="' + this._playback.speed + '"]').length) {
+            speed.append($('<option>').val(this._playback.speed).text(this._playback.speed + ' ms'));
+        }
+        speed.val(this._playback.speed);
+        this._ui.find('.gfw-playback-mode').val(this._playback.mode);
+        this._ui.find('.gfw-playback-loop').prop('checked', this._playback.loop);
+        this._ui.find('.gfw-playback-play').html(this.isPlaying() ? '&#9646;&#9646;' : '&#9654;');
+    },
+    
+    // Years interval, which playback should show at the given step from current one.
+    // Returns null if the end (or the beginning) of years range is reached
+    _getPlaybackYears: function(delta) {
+        var minYear = this.options.minYear,
+            maxYear = this.options.maxYear,
+            loop = this._playback.loop,
+            year;
+        
+        if (this._playback.mode === 'single') {
+            // current interval is not a single year - start from its first year
+            year = this._yearEnd - this._yearBegin === 1 ? this._yearBegin + delta : this._yearBegin;
+            if (year >= maxYear || year < minYear) {
+                if (!loop) {
+                    return null;
+                }
+                year = year < minYear ? maxYear - 1 : minYear;
+            }
+            return [year, year + 1];
+        } else {
+            year = this._yearBegin === minYear ? this._yearEnd + delta : this._yearEnd;
+            if (year > maxYear || year <= minYear) {
+                if (!loop) {
+                    return null;
+                }
+                year = year <= minYear ? maxYear : minYear + 1;
+            }
+            return [minYear, year];
+        }
+    },
+    
+    /** Moves years interval one step forward (delta = 1) or back (delta = -1) according to playback mode
+     * @return {Boolean} false if the end of years range is reached
+     */
+    step: function(delta) {
+        var years = this._getPlaybackYears(delta || 1);
+        if (!years) {
+            return false;
+        }
+        this._updateYears(years[0], years[1]);
+        return true;
+    },
+    
+    play: function() {
+        if (this.isPlaying()) {
+            return this;
+        }
+        
+        // restart from the beginning
+        if (!this._getPlaybackYears(1)) {
+            var minYear = this.options.minYear;
+            this._updateYears(minYear, minYear + 1);
+        }
+        
+        this._playTimer = setInterval(function() {
+            if (!this.step(1)) {
+                this.pause();
+            }
+        }.bind(this), this._playback.speed);
+        
+        this._renderPlayback();
+        this.fire('playbackchange', {playing: true});
+        return this;
+    },
+    
+    pause: function() {
+        if (!this.isPlaying()) {
+            return this;
+        }
+        
+        clearInterval(this._playTimer);
+        this._playTimer = null;
+        this._renderPlayback();
+        this.fire('playbackchange', {playing: false});
+        return this;
+    },
+    
+    isPlaying: function() {
+        return !!this._playTimer;
+    },
+    
+    // options: {speed, mode, loop} (see L.GFWSlider.options.playback)
+    setPlaybackOptions: function(options) {
+        var playing = this.isPlaying();
+        
+        playing && this.pause();
+        L.extend(this._playback, options);
+        playing && this.play();
+        this._renderPlayback();
+        return this;
+    },
+    
+    getPlaybackOptions: function() {
+        return L.extend({}, this._playback);
+    },
+    
     onRemove: function() {
+        this.pause();
+        this._ui = this._rangeSlider = null;
+    },
+    
+    _renderSettings: function() {
+        if (!this._ui) {
+            return;
+        }
+        
+        var settings = this._settings;
+        this._ui.find('.gfw-settings-opacity').val(Math.round(100 * (settings.opacity === undefined ? 1 : settings.opacity)));
+        this._ui.find('.gfw-settings-blend').val(settings.blendMode || 'normal');
+        this._ui.find('.gfw-products-item').each(function() {
+            this.checked = !!(settings.products && settings.products[$(this).attr('data-product')]);
+        });
+        settings.canopyThreshold && this._ui.find('.gfw-products-canopy-threshold').val(settings.canopyThreshold);
+        this._ui.find('.gfw-settings-inspector').prop('checked', !!settings.inspector);
+    },
+    
+    // settings changed by user
+    _changeSettings: function(settings) {
+        this.setSettings(settings);
+        this.fire('settingschange', settings);
+    },
+    
+    // Updates layer settings to be saved in state. Doesn't fire any events
+    setSettings: function(settings) {
+        L.extend(this._settings, settings);
+        this._renderSettings();
+        return this;
+    },
+    
+    getSettings: function() {
+        return L.extend({}, this._settings);
     },
     
     saveState: function() {
+        var colorRamp = this._settings.colorRamp;
+        
+        // palette colors are loaded again by url
+        if (colorRamp && colorRamp.type === 'palette') {
+            colorRamp = {type: 'palette', url: colorRamp.url};
+        } else {
+            for (var name in L.GFWColorRamps) {
+                if (L.GFWColorRamps[name] === colorRamp) {
+                    colorRamp = name;
+                }
+            }
+        }
+        
         return {
-            version: '1.0.0',
+            version: STATE_VERSION,
             yearBegin: this._yearBegin,
-            yearEnd: this._yearEnd
+            yearEnd: this._yearEnd,
+            opacity: this._settings.opacity,
+            blendMode: this._settings.blendMode,
+            colorRamp: colorRamp,
+            tileSource: this._settings.tileSource,
+            products: this._settings.products,
+            canopyThreshold: this._settings.canopyThreshold,
+            playback: this.getPlaybackOptions()
         }
     },
     
     loadState: function(data) {
-        if (this._ui) {
-            this._ui.find('.gfw-slider-container').slider('option', 'values', [data.yearBegin, data.yearEnd]);
+        var state = L.GFWSlider.validateState(L.GFWSlider.migrateState(data), this.options.minYear, this.options.maxYear),
+            settings = {};
+        
+        this._updateYears(state.yearBegin, state.yearEnd);
+        
+        if (state.playback) {
+            this.setPlaybackOptions(state.playback);
+        }
+        
+        ['opacity', 'blendMode', 'colorRamp', 'tileSource', 'products', 'canopyThreshold'].forEach(function(key) {
+            if (key in state) {
+                settings[key] = state[key];
+            }
+        });
+        this._changeSettings(settings);
+    }
+});
+
+// Conversions of saved state to the next version. Every state version should have a migration to the next one
+L.GFWSlider.stateMigrations = {
+    // 1.0.0 had years interval only, other settings remain as they are
+    '1.0.0': function(state) {
+        return {
+            version: '2.0.0',
+            yearBegin: state.yearBegin,
+            yearEnd: state.yearEnd
+        };
+    },
+    // 2.1.0 adds optional blendMode
+    '2.0.0': function(state) {
+        return L.extend({}, state, {version: '2.1.0'});
+    },
+    // 2.2.0 adds optional products and canopyThreshold
+    '2.1.0': function(state) {
+        return L.extend({}, state, {version: '2.2.0'});
+    }
+};
+
+// Converts state of any previous version to the current one
+L.GFWSlider.migrateState = function(state) {
+    state = L.extend({version: '1.0.0'}, state);
+    
+    while (state.version !== STATE_VERSION && L.GFWSlider.stateMigrations[state.version]) {
+        state = L.GFWSlider.stateMigrations[state.version](state);
+    }
+    
+    return state;
+};
+
+// Removes invalid fields of current version state and clamps years to [minYear, maxYear].
+// tileSource keeps release and threshold only, tileUrl is always taken from layer options
+L.GFWSlider.validateState = function(state, minYear, maxYear) {
+    var clampYear = function(year, defaultYear) {
+            year = Math.round(Number(year));
+            return isNaN(year) ? defaultYear : Math.max(minYear, Math.min(maxYear, year));
+        },
+        yearBegin = clampYear(state.yearBegin, minYear),
+        yearEnd = clampYear(state.yearEnd, maxYear),
+        result = {version: STATE_VERSION};
+    
+    if (yearBegin > yearEnd) {
+        var year = yearBegin;
+        yearBegin = yearEnd;
+        yearEnd = year;
+    }
+    if (yearBegin === yearEnd) {
+        if (yearEnd < maxYear) {
+            yearEnd++;
         } else {
-            this._setYears(data.yearBegin, data.yearEnd);
+            yearBegin--;
+        }
+    }
+    result.yearBegin = yearBegin;
+    result.yearEnd = yearEnd;
+    
+    var opacity = Number(state.opacity);
+    if (state.opacity !== undefined && state.opacity !== null && !isNaN(opacity)) {
+        result.opacity = Math.max(0, Math.min(1, opacity));
+    }
+    
+    if (L.GFWLayer.BLEND_MODES.indexOf(state.blendMode) !== -1) {
+        result.blendMode = state.blendMode;
+    }
+    
+    // malformed ramp would break tiles recoloring
+    if ('colorRamp' in state) {
+        result.colorRamp = L.GFWColorRamp.isValid(state.colorRamp) ? state.colorRamp : 'default';
+    }
+    
+    var tileSource = state.tileSource;
+    if (tileSource && THRESHOLDS.indexOf(Number(tileSource.threshold)) !== -1) {
+        result.tileSource = {threshold: Number(tileSource.threshold)};
+        if (typeof tileSource.release === 'string') {
+            result.tileSource.release = tileSource.release;
         }
     }
-});
\ No newline at end of file
+    
+    if (state.products) {
+        result.products = {};
+        for (var product in PRODUCTS) {
+            if (typeof state.products[product] === 'boolean') {
+                result.products[product] = state.products[product];
+            }
+        }
+    }
+    
+    if (THRESHOLDS.indexOf(Number(state.canopyThreshold)) !== -1) {
+        result.canopyThreshold = Number(state.canopyThreshold);
+    }
+    
+    var playback = state.playback;
+    if (playback) {
+        result.playback = {};
+        if (Number(playback.speed) > 0) {
+            result.playback.speed = Math.max(50, Math.min(10000, Number(playback.speed)));
+        }
+        if (PLAYBACK_MODES.indexOf(playback.mode) !== -1) {
+            result.playback.mode = playback.mode;
+        }
+        if (typeof playback.loop === 'boolean') {
+            result.playback.loop = playback.loop;
+        }
+    }
+    
+    return result;
+};
+
+})();
\ No newline at end of file
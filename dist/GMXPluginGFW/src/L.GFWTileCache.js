@@ -0,0 +1,170 @@
+/** LRU cache for GFW tiles pixels and its persistent IndexedDB counterpart
+*/
+L.GFWTileCache = L.Class.extend({
+    options: {
+        maxSize: 256    // max number of items
+    },
+
+    initialize: function(options) {
+        L.setOptions(this, options);
+        this._items = {};
+        this._keys = [];    // least recently used first
+    },
+
+    get: function(key) {
+        if (!(key in this._items)) {
+            return null;
+        }
+        this._touch(key);
+        return this._items[key];
+    },
+
+    set: function(key, value) {
+        if (!(key in this._items)) {
+            this._keys.push(key);
+        } else {
+            this._touch(key);
+        }
+        this._items[key] = value;
+
+        while (this._keys.length > this.options.maxSize) {
+            delete this._items[this._keys.shift()];
+        }
+        return this;
+    },
+
+    has: function(key) {
+        return key in this._items;
+    },
+
+    remove: function(key) {
+        var index = this._keys.indexOf(key);
+        if (index !== -1) {
+            this._keys.splice(index, 1);
+            delete this._items[key];
+        }
+        return this;
+    },
+
+    clear: function() {
+        this._items = {};
+        this._keys = [];
+        return this;
+    },
+
+    _touch: function(key) {
+        this._keys.splice(this._keys.indexOf(key), 1);
+        this._keys.push(key);
+    }
+});
+
+/** Persistent storage for GFW tiles pixels in IndexedDB.
+ * Expired tiles are deleted on reading and on opening, the oldest ones are deleted above maxItems.
+ * All methods silently do nothing if IndexedDB is not available
+*/
+L.GFWTileDB = L.Class.extend({
+    options: {
+        dbName: 'GFWTiles',
+        maxAge: 30 * 24 * 3600 * 1000,  // ms
+        maxItems: 400                   // 256 KB each
+    },
+
+    initialize: function(options) {
+        L.setOptions(this, options);
+        this._dbDef = $.Deferred();
+
+        var request;
+        try {
+            request = window.indexedDB.open(this.options.dbName, 2);
+        } catch (e) {
+            this._dbDef.reject();
+            return;
+        }
+
+        request.onupgradeneeded = function(e) {
+            var store = e.oldVersion < 1 ?
+                request.result.createObjectStore('tiles') :
+                request.transaction.objectStore('tiles');
+            // tiles by saving time to delete expired and the oldest ones
+            store.createIndex('time', 'time');
+        };
+        request.onsuccess = function() {
+            var db = request.result;
+            this._trim(db.transaction('tiles', 'readwrite').objectStore('tiles'));
+            this._dbDef.resolve(db);
+        }.bind(this);
+        request.onerror = function() {
+            this._dbDef.reject();
+        }.bind(this);
+    },
+
+    // callback(data) gets Uint8ClampedArray or null if there is no fresh data for the key
+    get: function(key, callback) {
+        var maxAge = this.options.maxAge;
+
+        this._dbDef.then(function(db) {
+            var store = db.transaction('tiles', 'readwrite').objectStore('tiles'),
+                request = store.get(key);
+            request.onsuccess = function() {
+                var item = request.result;
+                if (item && Date.now() - item.time >= maxAge) {
+                    store.delete(key);
+                    item = null;
+                }
+                callback(item ? new Uint8ClampedArray(item.buffer) : null);
+            };
+            request.onerror = function() {
+                callback(null);
+            };
+        }, function() {
+            callback(null);
+        });
+    },
+
+    set: function(key, data) {
+        this._dbDef.then(function(db) {
+            var store = db.transaction('tiles', 'readwrite').objectStore('tiles');
+            store.put({
+                time: Date.now(),
+                buffer: data.buffer.slice(0)
+            }, key).onsuccess = function() {
+                this._trim(store);
+            }.bind(this);
+        }.bind(this));
+        return this;
+    },
+
+    clear: function() {
+        this._dbDef.then(function(db) {
+            db.transaction('tiles', 'readwrite').objectStore('tiles').clear();
+        });
+        return this;
+    },
+
+    // Deletes expired tiles, then the oldest ones above maxItems
+    _trim: function(store) {
+        var index = store.index('time'),
+            maxItems = this.options.maxItems;
+
+        index.openCursor(IDBKeyRange.upperBound(Date.now() - this.options.maxAge)).onsuccess = function(e) {
+            var cursor = e.target.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+                return;
+            }
+            store.count().onsuccess = function(e) {
+                var excess = e.target.result - maxItems;
+                if (excess > 0) {
+                    index.openCursor().onsuccess = function(e) {
+                        var cursor = e.target.result;
+                        if (cursor && excess-- > 0) {
+                            cursor.delete();
+                            cursor.continue();
+                        }
+                    };
+                }
+            };
+        };
+    }
+});
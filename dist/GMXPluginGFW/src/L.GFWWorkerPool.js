@@ -0,0 +1,136 @@
+/** Pool of web workers to recolor GFW tiles outside of main thread
+*/
+(function (){
+
+// Body of worker script. L.GFWColorRamp.colorize is injected into worker as "colorize" function
+var workerMain = function() {
+    self.onmessage = function(e) {
+        var task = e.data,
+            data = new Uint8ClampedArray(task.buffer);
+
+        colorize(data, task.colorRamp, task.yearBegin, task.yearEnd, task.z);
+        self.postMessage({id: task.id, buffer: data.buffer}, [data.buffer]);
+    };
+};
+
+L.GFWWorkerPool = L.Class.extend({
+    options: {
+        size: Math.min(navigator.hardwareConcurrency || 2, 4)
+    },
+
+    initialize: function(options) {
+        L.setOptions(this, options);
+        this._workers = [];
+        this._tasks = {};   // {worker, rawData, params, callback} by id
+        this._lastId = 0;
+
+        try {
+            var source = 'var colorize = ' + L.GFWColorRamp.colorize.toString() + ';\n(' + workerMain.toString() + ')();';
+            this._url = URL.createObjectURL(new Blob([source], {type: 'application/javascript'}));
+
+            for (var i = 0; i < this.options.size; i++) {
+                this._workers.push(this._createWorker());
+            }
+        } catch (e) {
+            // no workers in this environment, pixels will be processed in main thread
+            this._workers = [];
+        }
+    },
+
+    _createWorker: function() {
+        var worker = new Worker(this._url);
+        worker.onmessage = this._onMessage.bind(this, worker);
+        worker.onerror = worker.onmessageerror = this._onError.bind(this, worker);
+        worker._tasksCount = 0;
+        return worker;
+    },
+
+    // callback gets null if pixels can't be recolored (e.g. malformed ramp)
+    _colorizeInMainThread: function(rawData, params, callback) {
+        var data;
+        try {
+            data = L.GFWColorRamp.colorize(new Uint8ClampedArray(rawData), params.colorRamp, params.yearBegin, params.yearEnd, params.z);
+        } catch (e) {
+            data = null;
+        }
+        callback(data);
+    },
+
+    // Recolors copy of source pixels (see L.GFWColorRamp.colorize).
+    // params: {colorRamp, yearBegin, yearEnd, z}
+    // callback(data) gets Uint8ClampedArray with result pixels or null if recoloring failed
+    colorize: function(rawData, params, callback) {
+        if (!this._workers.length) {
+            this._colorizeInMainThread(rawData, params, callback);
+            return;
+        }
+
+        var worker = this._workers.reduce(function(prev, cur) {
+                return cur._tasksCount < prev._tasksCount ? cur : prev;
+            }),
+            id = ++this._lastId,
+            data = new Uint8ClampedArray(rawData);
+
+        // source pixels are kept to process the task again if worker fails
+        this._tasks[id] = {worker: worker, rawData: rawData, params: params, callback: callback};
+        worker._tasksCount++;
+        worker.postMessage({
+            id: id,
+            buffer: data.buffer,
+            colorRamp: params.colorRamp,
+            yearBegin: params.yearBegin,
+            yearEnd: params.yearEnd,
+            z: params.z
+        }, [data.buffer]);
+    },
+
+    terminate: function() {
+        this._workers.forEach(function(worker) {
+            worker.terminate();
+        });
+        this._workers = [];
+        this._tasks = {};
+    },
+
+    _onMessage: function(worker, e) {
+        var task = this._tasks[e.data.id];
+
+        worker._tasksCount--;
+        delete this._tasks[e.data.id];
+        task && task.callback(new Uint8ClampedArray(e.data.buffer));
+    },
+
+    // Failed task is unknown, so worker is replaced and all its tasks are processed in main thread
+    _onError: function(worker, e) {
+        e && e.preventDefault && e.preventDefault();
+
+        var index = this._workers.indexOf(worker);
+        if (index === -1) {
+            return;
+        }
+        worker.terminate();
+        try {
+            this._workers[index] = this._createWorker();
+        } catch (err) {
+            this._workers.splice(index, 1);
+        }
+
+        for (var id in this._tasks) {
+            var task = this._tasks[id];
+            if (task.worker === worker) {
+                delete this._tasks[id];
+                this._colorizeInMainThread(task.rawData, task.params, task.callback);
+            }
+        }
+    }
+});
+
+var defaultPool = null;
+
+// Pool shared by all GFW layers
+L.GFWWorkerPool.getDefault = function() {
+    defaultPool = defaultPool || new L.GFWWorkerPool();
+    return defaultPool;
+};
+
+})();
@@ -8356,7 +8356,7 @@ ThematicStrategy.prototype._constuctRequestsArray = function (GMX_RasterCatalogI
             dArr[i].resolve();
         } else {
             (function (ii) {
-                var query = "[SCENEID]='" + sceneIdArr[ii] + "'";
+                var query = nsGmx.QueryBuilder.equals("SCENEID", sceneIdArr[ii]);
 
                 sendCrossDomainPostRequest(window.serverBase + "VectorLayer/Search.ashx", {
                     'query': query,
@@ -8614,11 +8614,10 @@ ThematicHandler.prototype._applyLayer = function (layer) {
     var layerName = layer.getGmxProperties().LayerID;
 
     this._layersStyleData[layerName] = {};
-    var query = "";
     //проверяем пересечение геометрии слоя со снимками
-    for (var i = 0; i < this._sceneIds.length; i++) {
-        query += "[SCENEID]='" + this._sceneIds[i] + (i < this._sceneIds.length - 1 ? "' OR " : "'");
-    }
+    var query = nsGmx.QueryBuilder.or(this._sceneIds.map(function (sceneId) {
+        return nsGmx.QueryBuilder.equals("SCENEID", sceneId);
+    }));
 
 
     //var b = layer.getBoundsMerc();
@@ -11798,10 +11797,9 @@ NDVITimelineManager.prototype._setExistentProds = function (params, success) {
             identField = (radioId == "ndviRadio_hr" || radioId == "classificationRadio" ? "sceneid" : identField);
         }
 
-        var query = "";
-        for (var i = 0; i < filenames.length; i++) {
-            query += "[" + identField + "]='" + filenames[i] + (i < filenames.length - 1 ? "' OR " : "'");
-        }
+        var query = nsGmx.QueryBuilder.or(filenames.map(function (filename) {
+            return nsGmx.QueryBuilder.equals(identField, filename);
+        }));
 
         var data = {
             query: query,
@@ -11849,6 +11847,11 @@ NDVITimelineManager.prototype.getVisibility = function (l) {
     return this.lmap.hasLayer(this.layerCollection[l]);
 };
 
+//names of visible fields layers intersecting current map view
+NDVITimelineManager.prototype.getVisibleFieldsLayers = function () {
+    return [].concat(this._visibleLayersOnTheDisplay);
+};
+
 NDVITimelineManager.prototype.refreshVisibleLayersOnDisplay = function () {
     var that = this;
 
@@ -14600,12 +14603,15 @@ MeanVCIManager.prototype.loadBorderFeature = function (feature) {
 
     this.datedYear = 2000;
 
-    var q = ("(year([" + MeanVCIManager.ndviLayer.dateColumnName + "])>='" + this.datedYear.toString() +
-    "')AND(year([" + MeanVCIManager.ndviLayer.dateColumnName + "])<='" + "2014" +
-    "')AND(day([" + MeanVCIManager.ndviLayer.dateColumnName + "])>='" + startDay.toString() +
-    "')AND(day([" + MeanVCIManager.ndviLayer.dateColumnName + "])<='" + endDay.toString() +
-    "')AND(month([" + MeanVCIManager.ndviLayer.dateColumnName + "])='" + this.month.toString() + "')" +
-    (MeanVCIManager.ndviLayer.prodtypeColumnName ? ("AND([" + MeanVCIManager.ndviLayer.prodtypeColumnName + "]='" + MeanVCIManager.ndviLayer.prodtype + "')") : ""));
+    var qb = nsGmx.QueryBuilder,
+        dateField = qb.field(MeanVCIManager.ndviLayer.dateColumnName);
+    var q = qb.and(
+        qb.compare(qb.func("year", dateField), ">=", this.datedYear.toString()),
+        qb.compare(qb.func("year", dateField), "<=", "2014"),
+        qb.compare(qb.func("day", dateField), ">=", startDay.toString()),
+        qb.compare(qb.func("day", dateField), "<=", endDay.toString()),
+        qb.compare(qb.func("month", dateField), "=", this.month.toString()),
+        MeanVCIManager.ndviLayer.prodtypeColumnName ? qb.equals(MeanVCIManager.ndviLayer.prodtypeColumnName, MeanVCIManager.ndviLayer.prodtype) : "");
 
 
     sendCrossDomainPostRequest(window.serverBase + "VectorLayer/Search.ashx", {
@@ -14692,7 +14698,7 @@ MeanVCIManager.prototype.setCurrentDateByFilename = function (filename) {
 
         var that = this;
 
-        var q = ("[filename]='" + filename + "'");
+        var q = nsGmx.QueryBuilder.equals("filename", filename);
         sendCrossDomainPostRequest(window.serverBase + "VectorLayer/Search.ashx", {
             'query': q,
             'geometry': false,